@@ -0,0 +1,114 @@
+// lib/documents.js — školski dokumenti (PDF / Markdown / tekst) -> čisti tekst -> isječci za retrieval
+// Koristi ga ingestion pipeline u server.js (POST /api/admin/documents).
+
+const CONTENT_TYPES = {
+  'application/pdf': 'pdf',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text'
+};
+const EXTENSIONS = { pdf: 'pdf', md: 'markdown', markdown: 'markdown', txt: 'text' };
+
+/* Tip iz Content-Type, a ako je generički (octet-stream) — iz ekstenzije imena. null = nepodržano */
+export function detectDocumentType(name = '', contentType = '') {
+  const ct = String(contentType).split(';')[0].trim().toLowerCase();
+  if (CONTENT_TYPES[ct]) return CONTENT_TYPES[ct];
+  const ext = String(name).toLowerCase().split('.').pop();
+  return EXTENSIONS[ext] || null;
+}
+
+// pdf-parse se učitava tek za prvi PDF; lib/pdf-parse.js direktno jer index.js u debug modu čita testnu datoteku
+async function pdfToText(buffer) {
+  const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+  return (await pdfParse(buffer)).text;
+}
+
+/* PDF-ovi dolaze s prelomljenim riječima ("upi-\nsa") i praznim redovima između svake linije */
+function cleanText(text) {
+  return String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/([a-zčćđšž])-\n([a-zčćđšž])/gi, '$1$2')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export async function extractDocumentText(buffer, type) {
+  if (type === 'pdf') return cleanText(await pdfToText(buffer));
+  return cleanText(buffer.toString('utf8'));
+}
+
+const HEADING_RX = /^#{1,6}\s+(.+)$/;
+
+/* Predugi odlomak -> rečenice -> (ako treba) tvrdi rez na granici riječi */
+function splitLong(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+  const out = [];
+  let cur = '';
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    for (let s = sentence; s;) {
+      const room = maxChars - (cur ? cur.length + 1 : 0);
+      if (s.length <= room) {
+        cur = cur ? `${cur} ${s}` : s;
+        s = '';
+      } else if (cur) {
+        out.push(cur);
+        cur = '';
+      } else {
+        const cut = s.lastIndexOf(' ', maxChars) > maxChars / 2 ? s.lastIndexOf(' ', maxChars) : maxChars;
+        out.push(s.slice(0, cut).trim());
+        s = s.slice(cut).trim();
+      }
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+/* Tekst -> [{ index, heading, text }]
+   Odlomci se pakiraju do maxTokens (~4 znaka po tokenu); Markdown naslov počinje novi isječak i
+   ide na vrh svakog isječka ispod sebe. Uzastopni isječci istog naslova dijele overlapTokens konteksta. */
+export function chunkText(text, { maxTokens = 300, overlapTokens = 40 } = {}) {
+  const maxChars = Math.max(200, maxTokens * 4);
+  const overlapChars = Math.max(0, Math.min(overlapTokens * 4, maxChars / 2));
+
+  const units = [];
+  let heading = '';
+  for (const block of String(text).split(/\n{2,}/)) {
+    const b = block.trim();
+    if (!b) continue;
+    const lines = b.split('\n');
+    const h = lines[0].match(HEADING_RX);
+    if (h) heading = h[1].trim();
+    const body = (h ? lines.slice(1) : lines).join('\n').trim();
+    // dugi odlomci se režu kraće od maxChars da overlap sljedećeg isječka stane
+    if (body) for (const piece of splitLong(body, maxChars - overlapChars)) units.push({ heading, text: piece });
+  }
+
+  const chunks = [];
+  let cur = null;
+  const flush = () => {
+    if (cur?.parts.length) chunks.push({ heading: cur.heading, body: cur.parts.join('\n\n') });
+  };
+  for (const u of units) {
+    const len = cur ? cur.parts.join('\n\n').length + 2 + u.text.length : Infinity;
+    if (!cur || u.heading !== cur.heading || len > maxChars) {
+      flush();
+      // overlap: rep prethodnog isječka (od granice riječi), samo unutar istog naslova
+      const prev = chunks[chunks.length - 1];
+      const tail = prev && prev.heading === u.heading && overlapChars
+        ? prev.body.slice(-overlapChars).replace(/^\S*\s/, '')
+        : '';
+      cur = { heading: u.heading, parts: tail && tail.length + u.text.length + 2 <= maxChars ? [`…${tail}`] : [] };
+    }
+    cur.parts.push(u.text);
+  }
+  flush();
+
+  return chunks.map((c, index) => ({
+    index,
+    heading: c.heading,
+    text: c.heading ? `${c.heading}\n\n${c.body}` : c.body
+  }));
+}
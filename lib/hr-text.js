@@ -0,0 +1,126 @@
+// lib/hr-text.js — hrvatska normalizacija teksta (dijakritici, stop riječi, sinonimi, lagani stemmer)
+// Koriste je FAQ matcher, isCategoryOrPriceQuery, findBestLocation i facts router u server.js.
+
+const norm = v => (Array.isArray(v) ? v[0] : v ?? '').toString();
+
+/* lowercase + bez dijakritika (č/ć/š/ž -> c/s/z; đ -> dj, kako se piše bez hrvatske tipkovnice) + bez interpunkcije */
+export function softNorm(s = '') {
+  return norm(s)
+    .toLowerCase()
+    .replace(/đ/g, 'dj')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/* ===== Stop riječi (već bez dijakritika, đ kao dj) =====
+   Oprez: "a" je i kategorija — kategorije se prepoznaju zasebno (detectKat), ne iz tokena. */
+export const HR_STOP_WORDS = new Set([
+  'a', 'i', 'u', 'na', 'o', 'od', 'do', 'za', 'po', 'pri', 'sa', 's', 'iz', 'k', 'ka', 'medju', 'izmedju',
+  'je', 'su', 'sam', 'si', 'smo', 'ste', 'biti', 'bi', 'bih', 'bismo', 'bio', 'bila', 'bilo',
+  'li', 'se', 'da', 'ne', 'ili', 'pa', 'te', 'ni', 'ali', 'vec', 'jos', 'samo', 'kao',
+  'to', 'taj', 'ta', 'ovo', 'ova', 'ovaj', 'ono', 'ti', 'ja', 'mi', 'vi', 'on', 'ona', 'oni',
+  'me', 'mene', 'meni', 'vas', 'vama', 'nas', 'nam', 'mu', 'ga', 'joj', 'ih', 'im',
+  'moj', 'moja', 'moje', 'vasa', 'vase', 'svoj',
+  'koji', 'koja', 'koje', 'kojem', 'kojoj', 'kojim', 'sto', 'sta', 'tko', 'kako',
+  'molim', 'hvala', 'pozdrav', 'bok', 'lp', 'ok', 'dobar', 'dobro', 'dan', 'jutro', 'vecer', 'postovanje'
+]);
+
+/* ===== Lagani stemmer =====
+   Skida najčešće padežne/množinske nastavke; korijen ostaje >= 3 znaka.
+   Nije lingvistički savršen — cilj je da "instruktorima", "vozilom", "cijenama", "poligonu"
+   završe na istom korijenu kao osnovni oblik. */
+const HR_SUFFIXES = [
+  'ovima', 'evima', 'ijama', 'ijima',
+  'skih', 'skim', 'skog', 'skoj', 'skom', 'ski', 'ska', 'ske', 'sko', 'sku',
+  'ama', 'ima', 'ega', 'emu', 'oga', 'omu', 'ome',
+  'ovi', 'ove', 'ova', 'evi', 'eve', 'eva',
+  'om', 'em', 'og', 'oj', 'ih', 'im', 'ju', 'ti',
+  'a', 'e', 'i', 'o', 'u'
+];
+const MIN_STEM = 3;
+
+export function hrStem(word) {
+  const w = softNorm(word);
+  if (w.length <= MIN_STEM || /\d/.test(w)) return w;
+  for (const suf of HR_SUFFIXES) {
+    if (w.endsWith(suf) && w.length - suf.length >= MIN_STEM) return w.slice(0, -suf.length);
+  }
+  return w;
+}
+
+/* ===== Sinonimi (izraz -> kanonski izraz), primjenjuju se nakon stemanja =====
+   Redoslijed nije bitan — uvijek pobjeđuje najduži izraz na danoj poziciji.
+   Obje strane prolaze softNorm, pa "tuđi" i "tudji" završe na istom korijenu. */
+export const HR_SYNONYMS = [
+  ['auto škola', 'autoškola'],
+  ['auto', 'vozilo'],
+  ['automobil', 'vozilo'],
+  ['avto', 'vozilo'],
+  ['sat vožnje', 'dodatni sat'],
+  ['dopunski sat', 'dodatni sat'],
+  ['dodatni sat vožnje', 'dodatni sat'],
+  ['cjenik', 'cijena'],
+  ['košta', 'cijena'],
+  ['koštati', 'cijena'],
+  ['liječnik', 'liječnički'],
+  ['ispitni centar', 'hak'],
+  ['učitelj vožnje', 'instruktor'],
+  ['poslovnica', 'lokacija'],
+  ['ured', 'lokacija']
+];
+
+const stemSeq = s => softNorm(s).split(' ').filter(Boolean).map(hrStem);
+
+const SYNONYM_RULES = HR_SYNONYMS
+  .map(([from, to]) => ({ from: stemSeq(from), to: stemSeq(to) }))
+  .sort((a, b) => b.from.length - a.from.length);
+
+function applySynonyms(stems) {
+  const out = [];
+  for (let i = 0; i < stems.length;) {
+    const rule = SYNONYM_RULES.find(r => r.from.every((w, k) => stems[i + k] === w));
+    if (rule) {
+      for (const w of rule.to) if (out[out.length - 1] !== w) out.push(w);
+      i += rule.from.length;
+    } else {
+      out.push(stems[i++]);
+    }
+  }
+  return out;
+}
+
+/* Tekst -> niz korijena (sa sinonimima). keepStopWords: true za frazne provjere ("gdje ste") */
+export function hrTokens(text, { keepStopWords = false } = {}) {
+  const words = softNorm(text).split(' ').filter(Boolean);
+  const kept = keepStopWords ? words : words.filter(w => !HR_STOP_WORDS.has(w));
+  return applySynonyms(kept.map(hrStem));
+}
+
+/* Tekst -> normalizirani string korijena, za hrHas */
+export function hrNormalize(text) {
+  return hrTokens(text, { keepStopWords: true }).join(' ');
+}
+
+const phraseCache = new Map();
+function compilePhrase(phrase) {
+  let c = phraseCache.get(phrase);
+  if (!c) {
+    // "lijecnick*" = prefiks korijena (za oblike koje stemmer ne svodi na isto)
+    const prefix = phrase.endsWith('*');
+    const stems = prefix ? softNorm(phrase.slice(0, -1)).split(' ') : hrTokens(phrase, { keepStopWords: true });
+    c = { text: stems.join(' '), prefix };
+    phraseCache.set(phrase, c);
+  }
+  return c;
+}
+
+/* Sadrži li normalizirani tekst (hrNormalize) neki od izraza? Uspoređuje cijele korijene. */
+export function hrHas(normalized, ...phrases) {
+  const hay = ` ${normalized} `;
+  return phrases.some(p => {
+    const { text, prefix } = compilePhrase(p);
+    return text && hay.includes(` ${text}${prefix ? '' : ' '}`);
+  });
+}
@@ -12,6 +12,9 @@ import os from 'os';
 import path from 'path';
 import crypto from 'crypto';
 
+import { softNorm, hrTokens, hrNormalize, hrHas } from './lib/hr-text.js';
+import { detectDocumentType, extractDocumentText, chunkText } from './lib/documents.js';
+
 const {
   PORT = 8080,
   OPENAI_API_KEY,
@@ -21,8 +24,59 @@ const {
   SCHOOL_SLUG: DEFAULT_SLUG = 'instruktor',
 
   // ✅ Vector Store
-  VECTOR_STORE_ID,
-  VECTOR_SYNC_SECRET = ''
+  VECTOR_STORE_ID, // legacy: store za DEFAULT_SLUG
+  VECTOR_SYNC_SECRET = '',
+  VECTOR_STORE_REGISTRY_FILE = '.data/vector-stores.json',
+  VECTOR_STORE_AUTO_CREATE = '1', // boot/interval sync kreira store za svaki slug iz KNOWN_SLUGS; '0' = samo registrirani
+
+  // ✅ Retrieval backend: openai (hosted vector store) | local (BM25 indeks na disku)
+  RETRIEVAL_BACKEND = 'openai',
+  RETRIEVAL_INDEX_DIR = '.data/retrieval',
+
+  // ✅ Školski dokumenti (PDF/Markdown/tekst) za retrieval
+  DOCUMENTS_DIR = '.data/documents',
+  DOCUMENT_MAX_BYTES = '10485760',
+
+  // ✅ Data cache (po slugu)
+  DATA_CACHE_TTL_MS = '300000',
+  DATA_CACHE_STALE_MS = '3600000',
+  DATA_CACHE_MAX_SLUGS = '200', // LRU limit — bez allowliste svaki nepoznat slug bi ostao u memoriji
+
+  // ✅ Airtable loader (limit je 5 req/s po bazi)
+  AIRTABLE_RPS = '5',
+  AIRTABLE_MAX_RETRIES = '4',
+
+  // ✅ Per-slug konfiguracija (schema mapa, pragovi, ...)
+  SLUG_CONFIG_FILE = 'config/slugs.json',
+
+  // ✅ Slug rezolucija: allowlist (zarezom odvojeno) + opt-in stari fallback na prvi red AUTOŠKOLE
+  KNOWN_SLUGS = '',
+  SCHOOL_FALLBACK_FIRST_ROW = '',
+
+  // ✅ Server-side sesije razgovora
+  SESSION_STORE = 'memory', // memory | file
+  SESSION_DIR = '.data/sessions',
+  SESSION_MAX_TURNS = '6',
+  SESSION_TTL_MS = '1800000',
+
+  // ✅ Upis kroz chat (lead capture)
+  LEADS_TABLE = 'UPIŠI SE ONLINE',
+  LEAD_DEDUP_WINDOW_MS = '86400000',
+
+  // ✅ System prompt: budžet tokena za podatkovne sekcije (per slug: "prompt": { "budgetTokens" })
+  PROMPT_TOKEN_BUDGET = '3000',
+
+  // ✅ Prompt predlošci: datoteke <ime>.<verzija>.txt|md + opcionalna Airtable tablica
+  PROMPT_TEMPLATE_DIR = 'prompts',
+  PROMPT_TEMPLATES_TABLE = 'AI PROMPT PREDLOŠCI',
+  PROMPT_TEMPLATE_TTL_MS = '300000', // neovisno o DATA_CACHE_TTL_MS — predlošci se rijetko mijenjaju
+
+  // ✅ Log odgovora za feedback i A/B izvještaje (JSONL, zadnjih REPLY_LOG_MAX u memoriji)
+  REPLY_LOG_MAX = '5000',
+  REPLY_LOG_FILE = '.data/replies.jsonl',
+
+  // ✅ Povratne informacije (👍/👎) po odgovoru
+  FEEDBACK_FILE = '.data/feedback.jsonl'
 } = process.env;
 
 const promptVersion = 'v1.8';
@@ -34,25 +88,21 @@ if (!OPENAI_API_KEY || !AIRTABLE_API_KEY || !AIRTABLE_BASE_ID_INDIVIDUAL) {
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// upload dokumenta čita sirovo tijelo bilo kojeg Content-Typea (i application/json) — vidi documentBody
+const jsonBody = express.json();
+app.use((req, res, next) => (req.method === 'POST' && req.path === '/api/admin/documents' ? next() : jsonBody(req, res, next)));
 
 const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-const atInd = new Airtable({ apiKey: AIRTABLE_API_KEY }).base(AIRTABLE_BASE_ID_INDIVIDUAL);
+// ⚠️ 429 retry radimo sami (vidi atSelectAll), da ne bude dvostrukog čekanja
+const atInd = new Airtable({ apiKey: AIRTABLE_API_KEY, noRetryIfRateLimited: true }).base(AIRTABLE_BASE_ID_INDIVIDUAL);
+
+const SCHOOL_FALLBACK_ENABLED = ['1', 'true', 'yes'].includes(String(SCHOOL_FALLBACK_FIRST_ROW).toLowerCase());
 
 /* ===== Helpers ===== */
 const norm = v => (Array.isArray(v) ? v[0] : v ?? '').toString();
 const normSlug = v => norm(v).trim().toLowerCase();
 const sanitizeForFormula = s => norm(s).replace(/"/g, '').replace(/'/g, '’');
 
-function softNorm(s = '') {
-  return norm(s)
-    .toLowerCase()
-    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-z0-9ćčđšž\s]/gi, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
 function wordSet(s) {
   return new Set(softNorm(s).split(' ').filter(w => w.length >= 3));
 }
@@ -83,6 +133,271 @@ function calcMonthlyRate(raw, months = 12) {
   return isNaN(num) ? '—' : Math.round(num / months) + ' €/mj';
 }
 
+/* Zašto convertToEuro/calcMonthlyRate ne bi dobro pročitali iznos (null = sve OK) */
+function priceParseIssue(value) {
+  const v = norm(value).trim();
+  if (!v) return 'empty';
+  const numPart = v.replace(/€|eur(a)?|kn|kuna/gi, '').trim();
+  // "1.200" je tisućica, a parseFloat ga pročita kao 1.2
+  if (/^\d{1,3}(\.\d{3})+$/.test(numPart)) return 'thousands_separator';
+  if (/^\d+(\.\d+)?$/.test(numPart)) return null;
+  // npr. "66,36" ili "1.200,00" -> parseFloat pročita samo dio broja
+  return isNaN(parseFloat(numPart)) ? 'not_a_number' : 'partial_number';
+}
+
+/* ===== Per-slug konfiguracija (SLUG_CONFIG_FILE) =====
+   JSON oblika { "default": {...}, "<slug>": {...} }; slug nasljeđuje "default".
+*/
+function readSlugConfigFile() {
+  try {
+    return JSON.parse(fs.readFileSync(SLUG_CONFIG_FILE, 'utf8')) || {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('SLUG_CONFIG_WARN', e.message);
+    return {};
+  }
+}
+const slugConfigRaw = readSlugConfigFile();
+
+const isPlainObject = v => v && typeof v === 'object' && !Array.isArray(v);
+function deepMerge(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(out[k]) ? deepMerge(out[k], v) : v;
+  }
+  return out;
+}
+
+function slugConfig(slug) {
+  return deepMerge(slugConfigRaw.default || {}, slugConfigRaw[normSlug(slug)] || {});
+}
+
+/* ===== Schema mapa: logička polja -> Airtable stupci (aliasi) =====
+   Redoslijed aliasa je bitan: prvi neprazni stupac pobjeđuje.
+   Per slug se aliasi dodaju ispred zadanih kroz SLUG_CONFIG_FILE -> "schema": { "instructor.name": ["Ime"] }.
+*/
+const SCHEMA = {
+  school: {
+    table: null, // red iz AUTOŠKOLE
+    fields: {
+      locations: ['Opis lokacije', 'Opis lokacija', 'Opis', 'Lokacije', 'Opis poslovnica'],
+      address: ['Adresa'],
+      maps: ['Google Maps', 'Maps', 'Geo_URL', 'Link na Google Maps'],
+      phone: ['Telefon', 'Telefon (fiksni)', 'Mobitel'],
+      email: ['Email', 'E-mail'],
+      web: ['Web', 'Web stranica'],
+      hours: ['Radno_vrijeme', 'Radno vrijeme'],
+      persona: ['AI_PERSONA'],
+      tone: ['AI_TON'],
+      style: ['AI_STIL'],
+      rules: ['AI_PRAVILA'],
+      greeting: ['AI_POZDRAV'],
+      privacy: ['Politika privatnosti', 'GDPR link']
+    }
+  },
+  category: {
+    table: 'kategorije',
+    fields: {
+      code: ['Kategorija', 'Naziv'],
+      theoryHours: ['Broj sati teorija', 'Broj_sati_teorija'],
+      practiceHours: ['Broj sati praksa', 'Broj_sati_praksa'],
+      duration: ['Trajanje (tipično)'],
+      minAge: ['Minimalna dob', 'Minimalna_dob'],
+      requirements: ['Uvjeti upisa', 'Uvjeti_upisa']
+    }
+  },
+  price: {
+    table: 'cjenik',
+    fields: {
+      category: ['Kategorija'],
+      variant: ['Varijanta', 'Naziv'],
+      amount: ['Cijena'],
+      note: ['Napomena']
+    }
+  },
+  hak: {
+    table: 'hak',
+    fields: {
+      category: ['Kategorija'],
+      name: ['Vrsta predmeta', 'Naziv naknade', 'Naziv'],
+      amount: ['Iznos']
+    }
+  },
+  payment: {
+    table: 'uvjeti',
+    fields: {
+      description: ['Opis uvjeta', 'Opis'],
+      types: ['Vrste plaćanja'],
+      methods: ['Načini_plaćanja'],
+      installments: ['Rate_mogućnost'],
+      deposit: ['Avans'],
+      deadlines: ['Rokovi']
+    }
+  },
+  extra: {
+    table: 'dodatne',
+    fields: {
+      category: ['Kategorija', 'Namjena (kategorija)', 'Kategorija_ref'],
+      name: ['Naziv usluge', 'Naziv', 'Usluga'],
+      kind: ['VRSTA FAQ', 'Vrsta', 'Tip'],
+      amount: ['Iznos', 'Cijena']
+    }
+  },
+  instructor: {
+    table: 'instruktori',
+    fields: {
+      name: ['Ime i prezime instruktora', 'Ime i prezime', 'Instruktor'],
+      categories: ['Kategorije'],
+      vehicle: ['Vozilo koje koristi', 'Vozilo'],
+      note: ['NAPOMENA', 'Napomena'],
+      location: ['LOKACIJA', 'Lokacija', 'Poslovnica']
+    }
+  },
+  vehicle: {
+    table: 'vozni',
+    fields: {
+      category: ['Kategorija', 'Namjena (kategorija)', 'Kategorija_ref'],
+      model: ['Naziv vozila', 'Model', 'Naziv'],
+      type: ['Tip vozila', 'Tip', 'Vrsta vozila'],
+      year: ['Godina'],
+      gearbox: ['Mjenjač', 'Mjenjac'],
+      location: ['Lokacija', 'LOKACIJA'],
+      note: ['Napomena']
+    }
+  },
+  location: {
+    table: 'lokacije',
+    fields: {
+      type: ['Tip lokacije', 'Tip', 'Vrsta', 'TIP'],
+      name: ['Naziv ustanove / partnera', 'Naziv'],
+      address: ['Adresa', 'Lokacija'],
+      city: ['Mjesto', 'Grad'],
+      phone: ['Telefon', 'Tel', 'Kontakt'],
+      url: ['Geo_URL', 'URL', 'Maps', 'Google Maps', 'Link na Google Maps'],
+      note: ['Napomena']
+    }
+  },
+  lesson: {
+    table: 'nastava',
+    fields: {
+      title: ['Naziv', 'Tema', 'Predavanje'],
+      category: ['Kategorija'],
+      schedule: ['Termin', 'Datum i vrijeme', 'Datum'],
+      location: ['Lokacija', 'Mjesto'],
+      description: ['Opis', 'Napomena']
+    }
+  },
+  faq: {
+    table: 'faq',
+    fields: {
+      questions: ['PITANJA', 'Pitanja', 'Pitanje'],
+      examples: ['Primjeri upita', 'Primjer upita'],
+      keywords: ['Ključne riječi', 'Kljucne rijeci'],
+      answer: ['ODGOVORI', 'Odgovor', 'Odgovori'],
+      active: ['AKTIVNO', 'Aktivno'],
+      vsDoc: ['VS_DOC', 'Vs_doc', 'VS doc']
+    }
+  },
+  lead: {
+    // za upis se koristi PRVI alias (per-slug override ga može zamijeniti)
+    table: 'upisi',
+    fields: {
+      name: ['Ime i prezime'],
+      phone: ['Telefon', 'Mobitel'],
+      email: ['Email', 'E-mail'],
+      category: ['Kategorija'],
+      location: ['Lokacija'],
+      consent: ['GDPR privola'],
+      slug: ['Slug'],
+      source: ['Izvor']
+    }
+  }
+};
+
+// Stupci koje čitamo izvan schema mape (slug filtriranje, AI_* okviri)
+const SCHEMA_META_COLUMNS = ['_id', 'Slug', 'Slug (autoškola)', 'Slug (Autoškola)', 'slug (autoškola)'];
+
+function flattenSchema(schema) {
+  const out = {};
+  for (const [group, def] of Object.entries(schema)) {
+    for (const [field, aliases] of Object.entries(def.fields)) out[`${group}.${field}`] = aliases;
+  }
+  return out;
+}
+const DEFAULT_FIELD_MAP = flattenSchema(SCHEMA);
+
+const fieldMapCache = new Map();
+function schemaFor(slug) {
+  const key = normSlug(slug);
+  if (fieldMapCache.has(key)) return fieldMapCache.get(key);
+
+  const overrides = slugConfig(key).schema || {};
+  const map = { ...DEFAULT_FIELD_MAP };
+  for (const [logical, aliases] of Object.entries(overrides)) {
+    const list = Array.isArray(aliases) ? aliases : [aliases];
+    map[logical] = [...new Set([...list, ...(map[logical] || [])])];
+  }
+  fieldMapCache.set(key, map);
+  return map;
+}
+
+/* Prvi neprazni stupac za logičko polje (kao `r['A'] || r['B']`) */
+function fv(row, logical, schema = DEFAULT_FIELD_MAP) {
+  for (const col of schema[logical] || []) {
+    if (row?.[col]) return norm(row[col]);
+  }
+  return '';
+}
+
+/* Prva definirana vrijednost (kao `r['A'] ?? r['B']`) — za checkboxe */
+function fraw(row, logical, schema = DEFAULT_FIELD_MAP) {
+  for (const col of schema[logical] || []) {
+    if (row?.[col] !== undefined && row?.[col] !== null) return row[col];
+  }
+  return undefined;
+}
+
+const isFaqActive = (r, schema = DEFAULT_FIELD_MAP) => String(fraw(r, 'faq.active', schema) ?? true) !== 'false';
+
+/* Sve vrijednosti za više logičkih polja (za "hay" pretragu) */
+function fAll(row, logicals, schema = DEFAULT_FIELD_MAP) {
+  return logicals.flatMap(l => (schema[l] || []).map(col => norm(row?.[col]))).filter(Boolean).join(' ');
+}
+
+/* Validator: koja logička polja nemaju stupac i koji stupci nisu mapirani */
+function validateSchema(slug, { school, data }) {
+  const schema = schemaFor(slug);
+  const out = {};
+
+  for (const [group, def] of Object.entries(SCHEMA)) {
+    const rows = def.table ? (data[def.table] || []) : (school && Object.keys(school).length ? [school] : []);
+    const columns = [...new Set(rows.flatMap(r => Object.keys(r)))];
+    const colSet = new Set(columns);
+
+    const mapped = {};
+    const missing = [];
+    const known = new Set(SCHEMA_META_COLUMNS);
+    for (const field of Object.keys(def.fields)) {
+      const logical = `${group}.${field}`;
+      const aliases = schema[logical] || [];
+      aliases.forEach(a => known.add(a));
+      const hit = aliases.find(a => colSet.has(a));
+      if (hit) mapped[logical] = hit;
+      else missing.push(logical);
+    }
+    const unmapped = columns.filter(c => !known.has(c) && !c.startsWith('AI_'));
+
+    out[group] = {
+      table: def.table || 'AUTOŠKOLE',
+      rows: rows.length,
+      mapped,
+      missing: rows.length ? missing : [],
+      unmapped,
+      ...(rows.length ? {} : { note: 'nema redova — stupce nije moguće provjeriti' })
+    };
+  }
+  return out;
+}
+
 /* ==== Kategorije: robust parsing ==== */
 const KAT_CODES = ['AM','A1','A2','A','B','BE','KOD 96','C','CE','D','KOD 95','F','G'];
 function normalizeKat(value) {
@@ -90,7 +405,7 @@ function normalizeKat(value) {
   if (!s) return '';
   if (s.includes('KOD 95') || s.includes('CODE 95')) return 'KOD 95';
   if (s.includes('KOD 96') || s.includes('CODE 96')) return 'KOD 96';
-  if (s.includes('BE')) return 'BE';
+  if (/\bB\s?E\b/.test(s)) return 'BE'; // "BE", "B+E" — ne "bez", "Robert"
   for (const k of ['AM','A1','A2','A','B','C','CE','D','F','G']) {
     const rx = new RegExp(`\\b${k}\\b`, 'i');
     if (rx.test(s)) return k;
@@ -98,40 +413,39 @@ function normalizeKat(value) {
   return '';
 }
 
+/* "a" je i veznik ("a koliko košta?") — kategoriju A priznajemo samo uz "kategorija"/"kat" */
+function detectKat(text) {
+  const t = softNorm(text);
+  const cleaned = t.replace(/\ba\b(?!\s+kat)/g, (m, off) => (/kategorij\w*\s+$/.test(t.slice(0, off)) ? m : ' '));
+  return normalizeKat(cleaned);
+}
+
 /* ==== Vehicles list ==== */
-function listVehicles(rows, wantedKat, locationHint='') {
+function listVehicles(rows, wantedKat, locationHint='', schema = DEFAULT_FIELD_MAP) {
   if (!rows?.length) return '';
   const wanted = wantedKat ? wantedKat.toUpperCase() : '';
   const locHint = softNorm(locationHint);
 
   const items = rows
     .filter(r => {
-      const katRaw = norm(r['Kategorija'] || r['Namjena (kategorija)'] || r['Kategorija_ref']);
-      const k = normalizeKat(katRaw);
+      const k = normalizeKat(fv(r, 'vehicle.category', schema));
       if (wanted && k !== wanted) return false;
 
       if (locHint) {
-        const hay = softNorm([
-          r['Lokacija'],
-          r['LOKACIJA'],
-          r['Napomena'],
-          r['Naziv vozila'],
-          r['Model'],
-          r['Naziv']
-        ].map(norm).join(' '));
+        const hay = softNorm(fAll(r, ['vehicle.location', 'vehicle.note', 'vehicle.model'], schema));
         if (!hay.includes(locHint)) return false;
       }
 
       return true;
     })
     .map(r => {
-      const katRaw = norm(r['Kategorija'] || r['Kategorija_ref']);
+      const katRaw = fv(r, 'vehicle.category', schema);
       const kat = normalizeKat(katRaw) || katRaw;
-      const model = norm(r['Naziv vozila'] || r['Model'] || r['Naziv']);
-      const tip = norm(r['Tip vozila'] || r['Tip'] || r['Vrsta vozila']);
-      const god = norm(r['Godina']);
-      const mjenjac = norm(r['Mjenjač'] || r['Mjenjac']);
-      const lok = norm(r['Lokacija'] || r['LOKACIJA']);
+      const model = fv(r, 'vehicle.model', schema);
+      const tip = fv(r, 'vehicle.type', schema);
+      const god = fv(r, 'vehicle.year', schema);
+      const mjenjac = fv(r, 'vehicle.gearbox', schema);
+      const lok = fv(r, 'vehicle.location', schema);
       return `• ${kat ? `[${kat}] ` : ''}${model || tip}${god ? ' (' + god + ')' : ''}${mjenjac ? ' – ' + mjenjac : ''}${lok ? ' | ' + lok : ''}`;
     });
 
@@ -141,26 +455,21 @@ function listVehicles(rows, wantedKat, locationHint='') {
 }
 
 /* ==== Locations: robust find ==== */
-function locTypeOfRow(r) {
-  return softNorm(r['Tip lokacije'] || r['Tip'] || r['Vrsta'] || r['TIP'] || '');
-}
-function findBestLocation(rows, wantTypeKeywords = []) {
+function findBestLocation(rows, wantTypeKeywords = [], schema = DEFAULT_FIELD_MAP) {
   if (!rows?.length) return null;
-  const keys = (wantTypeKeywords || []).map(k => softNorm(k));
+  const keys = (wantTypeKeywords || []).filter(Boolean);
   let best = null;
   let bestScore = -1;
 
   for (const r of rows) {
-    const hay = softNorm([
-      r['Tip lokacije'], r['Tip'], r['Vrsta'], r['Naziv'], r['Naziv ustanove / partnera'],
-      r['Adresa'], r['Lokacija'], r['Mjesto'], r['Grad'], r['Napomena']
-    ].map(norm).join(' '));
+    // korijeni: "poligonu"/"Poligon" i "ispitnog centra"/"ispitni centar" se poklapaju
+    const hay = hrNormalize(fAll(r, ['location.type', 'location.name', 'location.address', 'location.city', 'location.note'], schema));
 
     let score = 0;
-    for (const k of keys) if (k && hay.includes(k)) score += 2;
+    for (const k of keys) if (hrHas(hay, k)) score += 2;
 
-    const t = locTypeOfRow(r);
-    for (const k of keys) if (k && t.startsWith(k)) score += 2;
+    const t = hrNormalize(fv(r, 'location.type', schema));
+    for (const k of keys) if (t.startsWith(hrNormalize(k))) score += 2;
 
     if (score > bestScore) {
       bestScore = score;
@@ -170,13 +479,13 @@ function findBestLocation(rows, wantTypeKeywords = []) {
   return bestScore > 0 ? best : null;
 }
 
-function formatLocationRow(row) {
+function formatLocationRow(row, schema = DEFAULT_FIELD_MAP) {
   if (!row) return '';
-  const naziv = norm(row['Naziv ustanove / partnera'] || row['Naziv'] || 'Lokacija');
-  const adresa = norm(row['Adresa'] || row['Lokacija']);
-  const grad = norm(row['Mjesto'] || row['Grad']);
-  const tel = norm(row['Telefon'] || row['Tel'] || row['Kontakt']);
-  const url = norm(row['Geo_URL'] || row['URL'] || row['Maps'] || row['Google Maps'] || row['Link na Google Maps']);
+  const naziv = fv(row, 'location.name', schema) || 'Lokacija';
+  const adresa = fv(row, 'location.address', schema);
+  const grad = fv(row, 'location.city', schema);
+  const tel = fv(row, 'location.phone', schema);
+  const url = fv(row, 'location.url', schema);
   return [
     `• ${naziv}`,
     adresa ? `  ${adresa}${grad ? ', ' + grad : ''}` : (grad ? `  ${grad}` : ''),
@@ -186,11 +495,10 @@ function formatLocationRow(row) {
 }
 
 /* ==== School locations (AUTOŠKOLE): 4 lokacije u jednom polju ==== */
-function extractSchoolLocationsFromSchoolRow(school) {
-  const raw =
-    norm(school['Opis lokacije'] || school['Opis lokacija'] || school['Opis'] || school['Lokacije'] || school['Opis poslovnica']);
-  const adr = norm(school['Adresa']);
-  const maps = norm(school['Google Maps'] || school['Maps'] || school['Geo_URL'] || school['Link na Google Maps']);
+function extractSchoolLocationsFromSchoolRow(school, schema = DEFAULT_FIELD_MAP) {
+  const raw = fv(school, 'school.locations', schema);
+  const adr = fv(school, 'school.address', schema);
+  const maps = fv(school, 'school.maps', schema);
 
   const lines = raw.split(/\r?\n/g).map(x => x.trim()).filter(Boolean);
 
@@ -206,30 +514,34 @@ function extractSchoolLocationsFromSchoolRow(school) {
 }
 
 /* ==== Payment text ==== */
-function uvjetiText(rows) {
+function uvjetiText(rows, schema = DEFAULT_FIELD_MAP) {
   if (!rows?.length) return '';
   const f = rows[0];
-  const explicit = norm(f['Opis uvjeta'] || f['Opis']);
+  const explicit = fv(f, 'payment.description', schema);
   if (explicit) return explicit;
+  const part = (logical, label) => {
+    const v = fv(f, logical, schema);
+    return v ? `${label}: ${v}` : '';
+  };
   return [
-    f['Vrste plaćanja'] ? `Vrste plaćanja: ${f['Vrste plaćanja']}` : '',
-    f['Načini_plaćanja'] ? `Načini plaćanja: ${f['Načini_plaćanja']}` : '',
-    f['Rate_mogućnost'] ? `Rate: ${f['Rate_mogućnost']}` : '',
-    f['Avans'] ? `Avans: ${f['Avans']}` : '',
-    f['Rokovi'] ? `Rokovi: ${f['Rokovi']}` : ''
+    part('payment.types', 'Vrste plaćanja'),
+    part('payment.methods', 'Načini plaćanja'),
+    part('payment.installments', 'Rate'),
+    part('payment.deposit', 'Avans'),
+    part('payment.deadlines', 'Rokovi')
   ].filter(Boolean).join(' | ');
 }
 
 /* ==== Additional hours (robust) ==== */
-function findAdditionalHoursRows(rows, kat) {
+function findAdditionalHoursRows(rows, kat, schema = DEFAULT_FIELD_MAP) {
   const K = kat?.toUpperCase();
   if (!rows?.length || !K) return [];
   return rows.filter(r => {
-    const k = normalizeKat(r['Kategorija'] || r['Namjena (kategorija)'] || r['Kategorija_ref'] || '');
+    const k = normalizeKat(fv(r, 'extra.category', schema));
     if (k && k !== K) return false;
 
-    const naziv = softNorm(r['Naziv usluge'] || r['Naziv'] || r['Usluga'] || '');
-    const vrsta = softNorm(r['VRSTA FAQ'] || r['Vrsta'] || r['Tip'] || '');
+    const naziv = softNorm(fv(r, 'extra.name', schema));
+    const vrsta = softNorm(fv(r, 'extra.kind', schema));
     const looksLikeExtra =
       (naziv.includes('dodatni') && naziv.includes('sat')) ||
       (naziv.includes('dopunski') && naziv.includes('sat')) ||
@@ -241,10 +553,10 @@ function findAdditionalHoursRows(rows, kat) {
 }
 
 /* ==== Instructors: group by location for Hajduk ==== */
-function groupInstruktoriByLokacija(rows) {
+function groupInstruktoriByLokacija(rows, schema = DEFAULT_FIELD_MAP) {
   const groups = new Map();
   for (const r of rows || []) {
-    const loc = norm(r['LOKACIJA'] || r['Lokacija'] || r['Poslovnica'] || '').trim() || 'Ostalo';
+    const loc = fv(r, 'instructor.location', schema).trim() || 'Ostalo';
     if (!groups.has(loc)) groups.set(loc, []);
     groups.get(loc).push(r);
   }
@@ -266,125 +578,655 @@ const TABLES = {
   faq: ['FAQ - Odgovori na pitanja', 'FAQ', 'FAQ – Odgovori', 'FAQ Odgovori']
 };
 
-/* ===== Data access ===== */
-async function getSchoolRow(slug) {
+/* ===== Airtable loader: rate limit + retry/backoff ===== */
+const AT_SLOT_MS = 1000 / Math.max(1, Number(AIRTABLE_RPS) || 5);
+const AT_MAX_RETRIES = Math.max(0, Number(AIRTABLE_MAX_RETRIES) || 0);
+let atNextSlot = 0;
+
+// Globalni "slot" raspored: svi pozivi prema bazi dijele isti limit, bez obzira na slug
+async function atThrottle() {
+  const now = Date.now();
+  const at = Math.max(now, atNextSlot);
+  atNextSlot = at + AT_SLOT_MS;
+  if (at > now) await delay(at - now);
+}
+
+const isRetryableAtError = e =>
+  e?.statusCode === 429 || e?.statusCode >= 500 || e?.error === 'CONNECTION_ERROR';
+// Airtable za nepostojeću tablicu vraća 404 ili 403 (INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND)
+const isMissingTableError = e => e?.statusCode === 404 || e?.statusCode === 403;
+// 422 = formula ne valja (npr. tablica nema {Slug} polje)
+const isBadFormulaError = e => e?.statusCode === 422;
+
+async function atSelectAll(table, opts = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const out = [];
+      await atThrottle();
+      await atInd(table).select(opts).eachPage(async (records, next) => {
+        out.push(...records);
+        await atThrottle();
+        next();
+      });
+      return out;
+    } catch (e) {
+      if (!isRetryableAtError(e) || attempt >= AT_MAX_RETRIES) throw e;
+      const backoff = Math.min(8000, 250 * 2 ** attempt) + Math.floor(Math.random() * 200);
+      console.warn('AIRTABLE_RETRY', table, e?.statusCode || e?.error, `attempt=${attempt + 1}`, `wait=${backoff}ms`);
+      await delay(backoff);
+    }
+  }
+}
+
+const recFields = r => ({ _id: r.id, ...(r.fields || {}) });
+const rowSlugOf = f => f?.Slug || f?.['Slug (autoškola)'] || f?.['Slug (Autoškola)'] || f?.['slug (autoškola)'];
+
+function errorReport(table, e) {
+  return { status: 'error', table, error: e?.message || String(e), code: e?.error, statusCode: e?.statusCode ?? null };
+}
+
+/* ===== Data access =====
+   Svaki loader vraća { rows|row, report }, gdje je report.status:
+   ok | empty (tablica postoji, nema redova za slug) | missing (nijedna varijanta naziva ne postoji) | error (zahtjev pao)
+*/
+async function loadSchoolRow(slug) {
   const safe = sanitizeForFormula(slug || DEFAULT_SLUG);
+  const table = 'AUTOŠKOLE';
+  const fields = ['{Slug (autoškola)}', '{Slug (Autoškola)}', '{slug (autoškola)}', '{Slug}'];
   try {
-    const fields = ['{Slug (autoškola)}', '{Slug (Autoškola)}', '{slug (autoškola)}', '{Slug}'];
     for (const f of fields) {
       try {
-        const recs = await atInd('AUTOŠKOLE').select({ filterByFormula: `${f} = "${safe}"`, maxRecords: 1 }).all();
-        if (recs?.[0]) return recs[0].fields || {};
-      } catch {}
+        const recs = await atSelectAll(table, { filterByFormula: `${f} = "${safe}"`, maxRecords: 1 });
+        if (recs?.[0]) return { row: recs[0].fields || {}, report: { status: 'ok', table, matchedBy: f, rows: 1 } };
+      } catch (e) {
+        if (!isBadFormulaError(e)) throw e;
+      }
     }
-    const any = await atInd('AUTOŠKOLE').select({ maxRecords: 1 }).all();
-    return any?.[0]?.fields || {};
+
+    // ⚠️ Bez eksplicitnog opt-ina NE vraćamo tuđi red (persona/kontakti druge škole)
+    if (!SCHOOL_FALLBACK_ENABLED) {
+      return { row: {}, report: { status: 'unknown', table, matchedBy: null, rows: 0 } };
+    }
+    const any = await atSelectAll(table, { maxRecords: 1 });
+    return {
+      row: any?.[0]?.fields || {},
+      report: { status: any?.length ? 'fallback' : 'empty', table, matchedBy: null, rows: any?.length || 0 }
+    };
   } catch (e) {
     console.warn('AUTOŠKOLE_WARN', e.message);
-    return {};
+    return { row: {}, report: isMissingTableError(e) ? { status: 'missing', tried: [table] } : errorReport(table, e) };
   }
 }
 
-async function getBySlugMulti(nameVariants, slug) {
+async function loadTableBySlug(nameVariants, slug) {
   const safeSlug = sanitizeForFormula(slug || DEFAULT_SLUG);
+  const tried = [];
   for (const name of nameVariants) {
     try {
-      const filtered = await atInd(name).select({ filterByFormula: `{Slug} = "${safeSlug}"`, maxRecords: 200 }).all();
-      if (filtered?.length) return filtered.map(r => r.fields);
+      let filtered = null;
+      try {
+        filtered = await atSelectAll(name, { filterByFormula: `{Slug} = "${safeSlug}"`, maxRecords: 200 });
+      } catch (e) {
+        if (!isBadFormulaError(e)) throw e;
+      }
+      if (filtered?.length) {
+        return { rows: filtered.map(recFields), report: { status: 'ok', table: name, mode: 'filter', rows: filtered.length } };
+      }
 
-      const all = await atInd(name).select({ maxRecords: 200 }).all();
-      const rows = all.map(r => r.fields).filter(f =>
-        normSlug(f?.Slug || f?.['Slug (autoškola)'] || f?.['Slug (Autoškola)'] || f?.['slug (autoškola)']) === normSlug(safeSlug)
-      );
+      const all = await atSelectAll(name, { maxRecords: 200 });
+      const rows = all.map(recFields).filter(f => normSlug(rowSlugOf(f)) === normSlug(safeSlug));
       // ⚠️ NAMJERNO: ako nema slug redova, vraćamo prazno (ne "sve") da se ne miješaju škole
-      return rows.length ? rows : [];
-    } catch {}
+      return {
+        rows,
+        report: { status: rows.length ? 'ok' : 'empty', table: name, mode: 'scan', rows: rows.length, scanned: all.length }
+      };
+    } catch (e) {
+      if (isMissingTableError(e)) {
+        tried.push(name);
+        continue;
+      }
+      console.warn('AIRTABLE_LOAD_WARN', name, e?.message);
+      return { rows: [], report: errorReport(name, e) };
+    }
   }
-  return [];
+  return { rows: [], report: { status: 'missing', tried } };
 }
 
 /* ✅ FAQ: dohvat samo (slug + global) — NEMA "sve" */
-async function getFaqBySlugOrGlobal(slug) {
+async function loadFaqRows(slug) {
   const safe = sanitizeForFormula(slug || DEFAULT_SLUG);
+  const tried = [];
 
   for (const name of TABLES.faq) {
     try {
-      const recs = await atInd(name).select({
+      const recs = await atSelectAll(name, {
         filterByFormula: `OR({Slug} = "${safe}", {Slug} = "global")`,
         maxRecords: 500
-      }).all();
-      if (recs?.length) return recs.map(r => r.fields);
-      return []; // ako tablica postoji ali nema redova
-    } catch {}
+      });
+      // ako tablica postoji ali nema redova -> empty
+      return { rows: recs.map(recFields), report: { status: recs.length ? 'ok' : 'empty', table: name, rows: recs.length } };
+    } catch (e) {
+      if (isMissingTableError(e)) {
+        tried.push(name);
+        continue;
+      }
+      console.warn('AIRTABLE_LOAD_WARN', name, e?.message);
+      return { rows: [], report: errorReport(name, e) };
+    }
+  }
+
+  return { rows: [], report: { status: 'missing', tried } };
+}
+
+/* Paralelni dohvat svih tablica za slug (atThrottle drži ukupni tempo ispod limita) */
+async function loadAllForSlug(slug) {
+  const entries = Object.entries(TABLES);
+  const schoolRes = await loadSchoolRow(slug);
+
+  const data = {};
+  const report = { school: schoolRes.report, tables: {} };
+
+  // Nepoznat slug: ne trošimo Airtable limit na ostale tablice
+  if (schoolRes.report.status === 'unknown') {
+    for (const [key] of entries) {
+      data[key] = [];
+      report.tables[key] = { status: 'skipped' };
+    }
+    report.hasErrors = false;
+    return { school: {}, data, report };
+  }
+
+  const tableRes = await Promise.all(
+    entries.map(([key, variants]) => (key === 'faq' ? loadFaqRows(slug) : loadTableBySlug(variants, slug)))
+  );
+  entries.forEach(([key], i) => {
+    data[key] = tableRes[i].rows;
+    report.tables[key] = tableRes[i].report;
+  });
+  report.hasErrors = [schoolRes.report, ...Object.values(report.tables)].some(r => r.status === 'error');
+
+  return { school: schoolRes.row, data, report };
+}
+
+/* ===== Slug allowlist ===== */
+const KNOWN_SLUG_SET = new Set(KNOWN_SLUGS.split(',').map(normSlug).filter(Boolean));
+
+// Prazna lista = nema ograničenja (odlučuje AUTOŠKOLE)
+const isKnownSlug = slug => !KNOWN_SLUG_SET.size || KNOWN_SLUG_SET.has(normSlug(slug));
+
+const unknownSlugBody = slug => ({ ok: false, error: `Unknown slug: ${slug}`, code: 'UNKNOWN_SLUG' });
+
+/* ===== Data cache (po slugu, TTL + stale-while-revalidate) ===== */
+const CACHE_TTL = Math.max(0, Number(DATA_CACHE_TTL_MS) || 0);
+const CACHE_STALE = Math.max(0, Number(DATA_CACHE_STALE_MS) || 0);
+const CACHE_MAX_SLUGS = Math.max(1, Number(DATA_CACHE_MAX_SLUGS) || 200);
+
+const dataCache = new Map(); // slug -> { value, loadedAt, refreshing } — redoslijed umetanja = LRU redoslijed
+const inflightLoads = new Map(); // slug -> Promise (da istovremeni upiti ne dupliraju Airtable pozive)
+const cacheStats = { hits: 0, misses: 0, staleHits: 0, refreshes: 0, refreshErrors: 0, invalidations: 0, evictions: 0 };
+
+function cachePut(slug, entry) {
+  dataCache.delete(slug);
+  dataCache.set(slug, entry);
+  while (dataCache.size > CACHE_MAX_SLUGS) {
+    dataCache.delete(dataCache.keys().next().value);
+    cacheStats.evictions++;
+  }
+}
+
+function loadFresh(slug) {
+  if (inflightLoads.has(slug)) return inflightLoads.get(slug);
+
+  const p = loadAllForSlug(slug)
+    .then(value => {
+      // ⚠️ invalidacija tijekom dohvata: ne vraćamo stare podatke u cache
+      if (inflightLoads.get(slug) !== p) return value;
+      const prev = dataCache.get(slug);
+      // ⚠️ djelomično neuspješan dohvat ne gazi dobre (stale) podatke i ne sprema se u cache,
+      // ali vraćamo novi report da /api/admin/validate vidi tablicu koja pada
+      if (value.report.hasErrors) {
+        console.warn('DATA_LOAD_PARTIAL', slug, JSON.stringify(value.report));
+        if (prev) {
+          prev.refreshing = false;
+          return { ...prev.value, report: { ...value.report, stale: true } };
+        }
+        return value;
+      }
+      if (CACHE_TTL) cachePut(slug, { value, loadedAt: Date.now(), refreshing: false });
+      return value;
+    })
+    .finally(() => {
+      if (inflightLoads.get(slug) === p) inflightLoads.delete(slug);
+    });
+
+  inflightLoads.set(slug, p);
+  return p;
+}
+
+function refreshInBackground(slug, entry) {
+  if (entry.refreshing) return;
+  entry.refreshing = true;
+  cacheStats.refreshes++;
+  loadFresh(slug).catch(e => {
+    cacheStats.refreshErrors++;
+    entry.refreshing = false;
+    console.warn('DATA_CACHE_REFRESH_WARN', slug, e?.message);
+  });
+}
+
+/* Vraća { school, data, report } za slug; fresh=true zaobilazi cache (ali ga osvježava). */
+async function loadSlugData(slug, { fresh = false } = {}) {
+  const entry = dataCache.get(slug);
+
+  if (entry && !fresh && CACHE_TTL) {
+    const age = Date.now() - entry.loadedAt;
+    if (age < CACHE_TTL) {
+      cacheStats.hits++;
+      cachePut(slug, entry);
+      return entry.value;
+    }
+    if (age < CACHE_TTL + CACHE_STALE) {
+      // ⚠️ vraćamo stare podatke odmah, osvježavanje ide u pozadini
+      cacheStats.staleHits++;
+      cachePut(slug, entry);
+      refreshInBackground(slug, entry);
+      return entry.value;
+    }
+  }
+
+  cacheStats.misses++;
+  return loadFresh(slug);
+}
+
+function invalidateSlugData(slug) {
+  cacheStats.invalidations++;
+  if (!slug) {
+    const n = dataCache.size;
+    dataCache.clear();
+    inflightLoads.clear();
+    return n;
+  }
+  inflightLoads.delete(slug);
+  return dataCache.delete(slug) ? 1 : 0;
+}
+
+function cacheInfo() {
+  return {
+    ttlMs: CACHE_TTL,
+    staleMs: CACHE_STALE,
+    maxSlugs: CACHE_MAX_SLUGS,
+    slugs: [...dataCache.entries()].map(([slug, e]) => ({ slug, ageMs: Date.now() - e.loadedAt })),
+    ...cacheStats
+  };
+}
+
+/* ===== Sesije razgovora (server-side povijest) =====
+   Store je zamjenjiv: { get(id), set(session), delete(id), prune() } — sve async.
+*/
+const SESSION_TTL = Math.max(60_000, Number(SESSION_TTL_MS) || 1_800_000);
+const SESSION_MAX_MESSAGES = Math.max(1, Number(SESSION_MAX_TURNS) || 6) * 2; // turn = user + assistant
+const SESSION_ID_RX = /^[A-Za-z0-9_-]{8,64}$/;
+const SESSION_ROLES = new Set(['user', 'assistant']);
+
+const isSessionExpired = s => !s || Date.now() - (s.updatedAt || 0) > SESSION_TTL;
+
+function createMemorySessionStore() {
+  const map = new Map();
+  return {
+    kind: 'memory',
+    async get(id) {
+      const s = map.get(id);
+      if (isSessionExpired(s)) {
+        map.delete(id);
+        return null;
+      }
+      return s;
+    },
+    async set(session) {
+      map.set(session.id, session);
+    },
+    async delete(id) {
+      map.delete(id);
+    },
+    async prune() {
+      let n = 0;
+      for (const [id, s] of map) if (isSessionExpired(s)) { map.delete(id); n++; }
+      return n;
+    }
+  };
+}
+
+/* Jedna JSON datoteka po sesiji; preživi restart procesa */
+function createFileSessionStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = id => path.join(dir, `${id}.json`);
+  return {
+    kind: 'file',
+    async get(id) {
+      try {
+        const s = JSON.parse(await fs.promises.readFile(fileOf(id), 'utf8'));
+        if (!isSessionExpired(s)) return s;
+        await fs.promises.unlink(fileOf(id)).catch(() => {});
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('SESSION_READ_WARN', id, e.message);
+      }
+      return null;
+    },
+    async set(session) {
+      const tmp = `${fileOf(session.id)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(session), 'utf8');
+      await fs.promises.rename(tmp, fileOf(session.id));
+    },
+    async delete(id) {
+      await fs.promises.unlink(fileOf(id)).catch(() => {});
+    },
+    async prune() {
+      let n = 0;
+      for (const f of await fs.promises.readdir(dir).catch(() => [])) {
+        if (!f.endsWith('.json')) continue;
+        const id = f.slice(0, -5);
+        if (!(await this.get(id))) n++; // get() briše istekle
+      }
+      return n;
+    }
+  };
+}
+
+const sessionStore = SESSION_STORE === 'file' ? createFileSessionStore(SESSION_DIR) : createMemorySessionStore();
+setInterval(() => {
+  sessionStore.prune().catch(e => console.warn('SESSION_PRUNE_WARN', e?.message));
+}, 10 * 60 * 1000).unref();
+
+/* Samo user/assistant poruke s tekstom (nikad klijentski "system") */
+function sanitizeHistory(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter(h => h && SESSION_ROLES.has(h.role) && typeof h.content === 'string' && h.content.trim())
+    .map(h => ({ role: h.role, content: h.content.slice(0, 2000) }))
+    .slice(-SESSION_MAX_MESSAGES);
+}
+
+/* Učita ili otvori sesiju; legacy body.history služi samo kao početni seed nove sesije.
+   Iz seeda uzimamo samo korisnikove poruke — "assistant" odgovore klijent može izmisliti. */
+async function openSession(rawId, slug, legacyHistory = []) {
+  const wanted = norm(rawId).trim();
+  const existing = SESSION_ID_RX.test(wanted) ? await sessionStore.get(wanted) : null;
+  if (existing && existing.slug === slug) return existing;
+
+  // ⚠️ sesija jedne škole se ne nastavlja pod drugim slugom — i ne smije je prebrisati novom pod istim id-em
+  const id = SESSION_ID_RX.test(wanted) && !existing ? wanted : crypto.randomUUID();
+  const seed = (Array.isArray(legacyHistory) ? legacyHistory : []).filter(h => h?.role === 'user');
+  const now = Date.now();
+  return { id, slug, createdAt: now, updatedAt: now, history: sanitizeHistory(seed), state: {} };
+}
+
+async function saveTurn(session, userText, replyText) {
+  session.history = sanitizeHistory([
+    ...session.history,
+    { role: 'user', content: userText },
+    { role: 'assistant', content: replyText }
+  ]);
+  session.updatedAt = Date.now();
+  try {
+    await sessionStore.set(session);
+  } catch (e) {
+    console.warn('SESSION_SAVE_WARN', session.id, e?.message);
+  }
+}
+
+/* ===== FAQ matching: zamjenjivi lokalni matcher (bm25 | legacy) =====
+   Per slug u SLUG_CONFIG_FILE -> "faq": { "engine", "minScore", "minCoverage", "minTerms", "fuzzy" }
+*/
+const FAQ_MATCH_DEFAULTS = {
+  engine: 'bm25',
+  minScore: 1.0, // sirovi BM25 najboljeg retka
+  minCoverage: 0.6, // udio (idf-težinski) riječi upita pronađenih u retku
+  minTerms: 1, // najmanje značajnih riječi u upitu
+  exactMinLength: 10, // korisnik je citirao cijelo pohranjeno pitanje (ili primjer)
+  fuzzy: true,
+  topN: 5
+};
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FUZZY_WEIGHT = 0.8;
+
+function faqMatchConfig(slug) {
+  return { ...FAQ_MATCH_DEFAULTS, ...(slugConfig(slug).faq || {}) };
+}
+
+const splitMulti = (s) =>
+  norm(s)
+    .split(/\r?\n|\|/g)
+    .flatMap(x => x.split(','))
+    .map(x => x.trim())
+    .filter(Boolean);
+
+// Kratke riječi se NE bacaju ako su kategorija ili broj ("b", "a2", "18")
+const SHORT_KEEP_RX = /^(am|a1|a2|b|be|c|c1|ce|d|d1|f|g|\d+)$/;
+function faqTokens(s) {
+  return hrTokens(s).filter(w => w.length >= 3 || SHORT_KEEP_RX.test(w));
+}
+
+function editDistanceAtMost1(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0, j = 0, edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/* Padeži ("vozačku"/"vozačka") = zajednički prefiks; tipfeleri = 1 izmjena na duljim riječima.
+   Kratki korijeni traže više: "cijen" i "cijel" nisu ista riječ. */
+function fuzzyTermMatch(a, b) {
+  if (a === b) return true;
+  if (SHORT_KEEP_RX.test(a) || SHORT_KEEP_RX.test(b)) return false;
+  const minLen = Math.min(a.length, b.length);
+  let p = 0;
+  while (p < minLen && a[p] === b[p]) p++;
+  if (p >= Math.max(5, minLen - 2)) return true;
+  return minLen >= 6 && editDistanceAtMost1(a, b);
+}
+
+const faqIndexCache = new WeakMap(); // faqRows (niz iz cache-a) -> index
+
+function buildFaqIndex(faqRows, schema = DEFAULT_FIELD_MAP) {
+  const docs = [];
+  const df = new Map();
+
+  for (const r of faqRows || []) {
+    if (!isFaqActive(r, schema)) continue;
+    const answer = fv(r, 'faq.answer', schema);
+    if (!answer) continue;
+
+    const questions = [
+      ...splitMulti(fv(r, 'faq.questions', schema)),
+      ...splitMulti(fv(r, 'faq.examples', schema))
+    ];
+    const candidates = [...questions, ...splitMulti(fv(r, 'faq.keywords', schema))];
+    const tokens = candidates.flatMap(faqTokens);
+    if (!tokens.length) continue;
+
+    const tf = new Map();
+    for (const w of tokens) tf.set(w, (tf.get(w) || 0) + 1);
+    for (const w of tf.keys()) df.set(w, (df.get(w) || 0) + 1);
+
+    docs.push({ id: r._id ?? null, row: r, answer, candidates, questions: questions.map(softNorm), tf, len: tokens.length });
   }
 
-  return [];
+  const avgdl = docs.reduce((a, d) => a + d.len, 0) / (docs.length || 1);
+  return { docs, df, avgdl, N: docs.length, vocab: [...df.keys()] };
 }
 
-/* ===== FAQ strict (omekšano) ===== */
-function answerFromFAQ_STRICT(userText, faqRows) {
-  if (!faqRows?.length) return '';
+function faqIndexFor(faqRows, schema) {
+  let idx = faqIndexCache.get(faqRows);
+  if (!idx || idx.schema !== schema) {
+    idx = { ...buildFaqIndex(faqRows, schema), schema };
+    if (faqRows) faqIndexCache.set(faqRows, idx);
+  }
+  return idx;
+}
+
+const bm25Idf = (idx, term) => {
+  const n = idx.df.get(term) || 0;
+  return Math.log(1 + (idx.N - n + 0.5) / (n + 0.5));
+};
+
+/* Rangira sve FAQ retke; vraća kandidate sa scoreom i objašnjenjem */
+function rankFaqBM25(userText, faqRows, schema, cfg) {
+  const idx = faqIndexFor(faqRows, schema);
+  const qTerms = [...new Set(faqTokens(userText))];
   const q = softNorm(userText);
 
-  const wordCount = q.split(' ').filter(Boolean).length;
-  if (wordCount <= 3 || q.length < 12) return '';
+  // riječ upita -> [{ term, weight }] iz vokabulara FAQ-a
+  const expansions = new Map(qTerms.map(qt => {
+    const list = idx.df.has(qt) ? [{ term: qt, weight: 1 }] : [];
+    if (cfg.fuzzy) {
+      for (const v of idx.vocab) if (v !== qt && fuzzyTermMatch(qt, v)) list.push({ term: v, weight: FUZZY_WEIGHT });
+    }
+    return [qt, list];
+  }));
+
+  const qIdf = new Map(qTerms.map(qt => [qt, Math.max(bm25Idf(idx, qt), ...expansions.get(qt).map(e => bm25Idf(idx, e.term)))]));
+  const idfTotal = [...qIdf.values()].reduce((a, b) => a + b, 0) || 1;
+
+  const ranked = idx.docs.map(d => {
+    let score = 0;
+    let covered = 0;
+    const matchedTerms = [];
+    for (const qt of qTerms) {
+      let bestTerm = null;
+      let bestPart = 0;
+      for (const { term, weight } of expansions.get(qt)) {
+        const f = d.tf.get(term);
+        if (!f) continue;
+        const part = weight * bm25Idf(idx, term) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * d.len / idx.avgdl));
+        if (part > bestPart) { bestPart = part; bestTerm = term; }
+      }
+      if (bestTerm) {
+        score += bestPart;
+        covered += qIdf.get(qt);
+        matchedTerms.push(bestTerm === qt ? qt : `${qt}~${bestTerm}`);
+      }
+    }
+
+    // samo upit ⊇ pitanje: "koliko košta" NIJE doslovno "koliko košta produženje dozvole"
+    const exact = d.questions.find(sn => sn.length >= cfg.exactMinLength && ` ${q} `.includes(` ${sn} `)) || '';
+
+    return { doc: d, score, coverage: covered / idfTotal, matchedTerms, exact };
+  });
+
+  ranked.sort((a, b) => (b.score - a.score) || (!!b.exact - !!a.exact));
+  return { qTerms, ranked };
+}
+
+/* Doslovno citirano pitanje preskače minTerms/minScore, ali ne coverage — ostatak poruke može pitati nešto drugo */
+function faqCandidatePasses(c, qTerms, cfg) {
+  if (!c.exact && qTerms.length < cfg.minTerms) return { pass: false, reason: `query ima ${qTerms.length} značajnih riječi (< ${cfg.minTerms})` };
+  if (!c.exact && c.score < cfg.minScore) return { pass: false, reason: `score ${c.score.toFixed(2)} < ${cfg.minScore}` };
+  if (c.coverage < cfg.minCoverage) return { pass: false, reason: `coverage ${c.coverage.toFixed(2)} < ${cfg.minCoverage}` };
+  return { pass: true, reason: c.exact ? 'exact' : 'threshold' };
+}
 
-  const active = faqRows.filter(r => String(r['AKTIVNO'] ?? r['Aktivno'] ?? true) !== 'false');
+/* Stari Jaccard/overlap matcher (engine: "legacy") */
+function matchFAQ_legacy(userText, faqRows, schema = DEFAULT_FIELD_MAP) {
+  if (!faqRows?.length) return null;
+  const q = softNorm(userText);
+
+  const wordCount = q.split(' ').filter(Boolean).length;
+  if (wordCount <= 3 || q.length < 12) return null;
 
-  const splitMulti = (s) =>
-    norm(s)
-      .split(/\r?\n|\|/g)
-      .flatMap(x => x.split(','))
-      .map(x => x.trim())
-      .filter(Boolean);
+  const active = faqRows.filter(r => isFaqActive(r, schema));
 
-  let best = { score: 0, jaccard: 0, ans: '' };
+  let best = { score: 0, coverage: 0, answer: '', id: null, matched: '' };
 
   for (const r of active) {
     const qList = [
-      ...splitMulti(r['PITANJA'] || r['Pitanja'] || r['Pitanje']),
-      ...splitMulti(r['Primjeri upita'] || r['Primjer upita'] || ''),
-      ...splitMulti(r['Ključne riječi'] || r['Kljucne rijeci'] || '')
+      ...splitMulti(fv(r, 'faq.questions', schema)),
+      ...splitMulti(fv(r, 'faq.examples', schema)),
+      ...splitMulti(fv(r, 'faq.keywords', schema))
     ].filter(Boolean);
 
-    const ans = norm(r['ODGOVORI'] || r['Odgovor'] || r['Odgovori']);
-    if (!ans) continue;
+    const answer = fv(r, 'faq.answer', schema);
+    if (!answer) continue;
 
     for (const cand of qList) {
       const { overlap, qsSize, jaccard } = overlapScore(q, cand);
       const sn = softNorm(cand);
 
-      const almostExact = sn && (q.includes(sn) || sn.includes(q)) && Math.min(q.length, sn.length) >= 10;
+      const almostExact = sn.length >= 10 && ` ${q} `.includes(` ${sn} `);
 
       const goodMatch =
         almostExact ||
         (overlap >= 3 && jaccard >= 0.4) ||
         (overlap >= 2 && jaccard >= 0.25 && qsSize <= 6);
 
-      if (goodMatch && (overlap > best.score || (overlap === best.score && jaccard > best.jaccard))) {
-        best = { score: overlap, jaccard, ans };
+      if (goodMatch && (overlap > best.score || (overlap === best.score && jaccard > best.coverage))) {
+        best = { score: overlap, coverage: jaccard, answer, id: r._id ?? null, matched: cand };
       }
     }
   }
 
-  return best.score ? best.ans : '';
+  return best.score ? { ...best, engine: 'legacy' } : null;
 }
 
-function isCategoryOrPriceQuery(s) {
-  const q = softNorm(s);
-  const hasKat =
-    /\b(am|a1|a2|a|b|be|c|ce|d|kod\s*95|kod\s*96)\b/.test(q) ||
-    /kategor/.test(q);
+/* Vraća najbolji FAQ pogodak { answer, id, score, coverage, matched, engine } ili null */
+function matchFAQ_STRICT(userText, faqRows, schema = DEFAULT_FIELD_MAP, cfg = FAQ_MATCH_DEFAULTS) {
+  if (cfg.engine === 'legacy') return matchFAQ_legacy(userText, faqRows, schema);
+  if (!faqRows?.length) return null;
+
+  const { qTerms, ranked } = rankFaqBM25(userText, faqRows, schema, cfg);
+  const top = ranked[0];
+  if (!top || !faqCandidatePasses(top, qTerms, cfg).pass) return null;
+
+  return {
+    answer: top.doc.answer,
+    id: top.doc.id,
+    score: Number(top.score.toFixed(3)),
+    coverage: Number(top.coverage.toFixed(3)),
+    matched: top.exact || top.matchedTerms.join(' '),
+    engine: 'bm25'
+  };
+}
+
+/* Objašnjenje za debug: top-N kandidata i zašto (ne)prolaze */
+function explainFaqMatch(userText, faqRows, schema, cfg) {
+  const { qTerms, ranked } = rankFaqBM25(userText, faqRows, schema, cfg);
+  return {
+    queryTerms: qTerms,
+    candidates: ranked.slice(0, cfg.topN).map(c => {
+      const verdict = faqCandidatePasses(c, qTerms, cfg);
+      return {
+        id: c.doc.id,
+        question: c.doc.candidates[0] || '',
+        score: Number(c.score.toFixed(3)),
+        coverage: Number(c.coverage.toFixed(3)),
+        matchedTerms: c.matchedTerms,
+        exact: c.exact || null,
+        pass: verdict.pass,
+        reason: verdict.reason
+      };
+    })
+  };
+}
 
-  const hasBizWords =
-    /(cijena|cijene|koliko\s*kosta|kosta|sati|satnica|hak|naknad|paket|minimalna\s*dob|uvjeti\s*upisa|vozni\s*park|vozila|informacij|upis|teorij|praksa|voznj|dodatni\s*sat|dopunski\s*sat)/.test(q);
+const CATEGORY_PRICE_TERMS = [
+  'kategor*', 'cijena', 'sat', 'satnica', 'hak', 'naknad*', 'paket', 'minimalna dob', 'uvjeti upisa',
+  'vozni park', 'vozilo', 'informacij*', 'upis*', 'teorij*', 'praksa', 'vožnja', 'dodatni sat'
+];
 
-  return hasKat || hasBizWords;
+function isCategoryOrPriceQuery(s) {
+  // "a" kao veznik ne znači kategoriju A (detectKat)
+  const hasKat = !!detectKat(s);
+  return hasKat || hrHas(hrNormalize(s), ...CATEGORY_PRICE_TERMS);
 }
 
 /* ===== AI prompt okviri iz tablica ===== */
-function extractAIPromptSections(allData, slug) {
-  const sectionLines = [];
+function extractAIPromptSectionList(allData, slug) {
+  const sections = []; // [{ key, text }] — key = tablica (za rangiranje u promptu)
   const keys = Object.keys(allData).filter(k => k !== 'faq');
 
   for (const key of keys) {
@@ -394,7 +1236,7 @@ function extractAIPromptSections(allData, slug) {
     const row =
       rows.find(r =>
         Object.keys(r).some(f => f.startsWith('AI_')) &&
-        (normSlug(r.Slug || r['Slug (autoškola)'] || r['Slug (Autoškola)'] || r['slug (autoškola)']) === normSlug(slug) || !r.Slug)
+        (normSlug(rowSlugOf(r)) === normSlug(slug) || !r.Slug)
       ) ||
       rows.find(r => Object.keys(r).some(f => f.startsWith('AI_')));
 
@@ -409,8 +1251,9 @@ function extractAIPromptSections(allData, slug) {
     const any = [ctx, patt, rules, dis, fb].some(Boolean);
     if (!any) continue;
 
-    sectionLines.push(
-      [
+    sections.push({
+      key,
+      text: [
         `=== AI INSTRUKCIJE ZA TABLICU ${key.toUpperCase()} ===`,
         ctx ? `Kontekst: ${ctx}` : '',
         patt ? `Namjere (uzorci): ${patt}` : '',
@@ -418,25 +1261,29 @@ function extractAIPromptSections(allData, slug) {
         dis ? `Rasplitanje/pojašnjenje: ${dis}` : '',
         fb ? `Fallback kad nema podatka: ${fb}` : ''
       ].filter(Boolean).join('\n')
-    );
+    });
   }
 
-  return sectionLines.join('\n\n');
+  return sections;
+}
+
+function extractAIPromptSections(allData, slug) {
+  return extractAIPromptSectionList(allData, slug).map(s => s.text).join('\n\n');
 }
 
 /* ===== Category summary (robust) ===== */
-function buildCategorySummary(katRaw, data) {
+function buildCategorySummary(katRaw, data, schema = DEFAULT_FIELD_MAP) {
   const kat = normalizeKat(katRaw);
   if (!kat) return '';
 
   let satnica = '';
-  const rowK = (data.kategorije || []).find(r => normalizeKat(r['Kategorija'] || r['Naziv']) === kat);
+  const rowK = (data.kategorije || []).find(r => normalizeKat(fv(r, 'category.code', schema)) === kat);
   if (rowK) {
-    const te = norm(rowK['Broj sati teorija'] || rowK['Broj_sati_teorija']);
-    const pr = norm(rowK['Broj sati praksa'] || rowK['Broj_sati_praksa']);
-    const trajanje = norm(rowK['Trajanje (tipično)']);
-    const minDob = norm(rowK['Minimalna dob'] || rowK['Minimalna_dob']);
-    const uvjetiUpisa = norm(rowK['Uvjeti upisa'] || rowK['Uvjeti_upisa']);
+    const te = fv(rowK, 'category.theoryHours', schema);
+    const pr = fv(rowK, 'category.practiceHours', schema);
+    const trajanje = fv(rowK, 'category.duration', schema);
+    const minDob = fv(rowK, 'category.minAge', schema);
+    const uvjetiUpisa = fv(rowK, 'category.requirements', schema);
 
     satnica = `• Sati: Teorija ${te || '?'}h, Praksa ${pr || '?'}h${trajanje ? ` | Trajanje (tipično): ${trajanje}` : ''}`;
     if (minDob) satnica += `\n• Minimalna dob: ${minDob} godina`;
@@ -444,34 +1291,34 @@ function buildCategorySummary(katRaw, data) {
   }
 
   const cj = (data.cjenik || [])
-    .filter(c => normalizeKat(c['Kategorija']) === kat)
+    .filter(c => normalizeKat(fv(c, 'price.category', schema)) === kat)
     .map(c => {
-      const varijanta = norm(c['Varijanta'] || c['Naziv'] || 'Paket');
-      const cijenaRaw = norm(c['Cijena']);
+      const varijanta = fv(c, 'price.variant', schema) || 'Paket';
+      const cijenaRaw = fv(c, 'price.amount', schema);
       const cijena = convertToEuro(cijenaRaw) || '—';
       const mjRata = calcMonthlyRate(cijenaRaw);
-      const nap = norm(c['Napomena']);
+      const nap = fv(c, 'price.note', schema);
       return `  - ${varijanta}: ${cijena} (${mjRata})${nap ? ` — ${nap}` : ''}`;
     }).join('\n');
   const cjSekcija = cj ? `• Cijene:\n${cj}` : '';
 
   const hak = (data.hak || [])
-    .filter(n => normalizeKat(n['Kategorija']) === kat)
+    .filter(n => normalizeKat(fv(n, 'hak.category', schema)) === kat)
     .map(n => {
-      const vrsta = norm(n['Vrsta predmeta'] || n['Naziv naknade'] || n['Naziv'] || 'Naknada');
-      const iznos = convertToEuro(norm(n['Iznos']));
+      const vrsta = fv(n, 'hak.name', schema) || 'Naknada';
+      const iznos = convertToEuro(fv(n, 'hak.amount', schema));
       return `  - ${vrsta}: ${iznos}`;
     }).join('\n');
   const hakSekcija = hak ? `• Ispitne naknade (HAK):\n${hak}` : '';
 
-  const uvjeti = uvjetiText(data.uvjeti);
+  const uvjeti = uvjetiText(data.uvjeti, schema);
   const uvjetiSekcija = uvjeti ? `• Uvjeti plaćanja: ${uvjeti}` : '';
 
-  const extraRows = findAdditionalHoursRows(data.dodatne || [], kat);
+  const extraRows = findAdditionalHoursRows(data.dodatne || [], kat, schema);
   const dodatni = extraRows
     .map(d => {
-      const iznos = convertToEuro(norm(d['Iznos'] || d['Cijena']));
-      const naziv = norm(d['Naziv usluge'] || d['Naziv'] || 'Dodatni sat');
+      const iznos = convertToEuro(fv(d, 'extra.amount', schema));
+      const naziv = fv(d, 'extra.name', schema) || 'Dodatni sat';
       return `  - ${naziv}: ${iznos || '—'}`;
     })
     .join('\n');
@@ -487,339 +1334,2217 @@ function buildCategorySummary(katRaw, data) {
   ].filter(Boolean).join('\n');
 }
 
-/* ===== Quick facts router ===== */
-function extractFacts(userText, data, school, slug) {
+/* ===== Dialogue state: slotovi kategorija / lokacija / tema kroz razgovor ===== */
+const DIALOGUE_TOPICS = [
+  // redoslijed = prioritet kad poruka spominje više tema; slots = što nova tema preuzima iz prethodne
+  { topic: 'hak', rx: /\bhak\b|naknad|ispitni centar/, keyword: 'hak', slots: ['kat'] },
+  { topic: 'prices', rx: /cijen|kosta|paket|sve info/, keyword: 'cijene', slots: ['kat'] },
+  { topic: 'hours', rx: /\bsat[aie]?\b|satnic/, keyword: 'sati', slots: ['kat'] },
+  { topic: 'instructors', rx: /instruktor/, keyword: 'instruktor', slots: ['kat', 'location'] },
+  { topic: 'vehicles', rx: /vozni park|vozil/, keyword: 'vozila', slots: ['kat', 'location'] },
+  { topic: 'polygon', rx: /poligon|vjezbali/, keyword: 'poligon', slots: [] },
+  { topic: 'first_aid', rx: /prva pomoc|prve pomoci/, keyword: 'prva pomoc', slots: [] },
+  { topic: 'medical', rx: /lijecnick|medicina rada|pregled/, keyword: 'pregled', slots: [] },
+  { topic: 'payment', rx: /kartic|\brat[ae]\b|placan/, keyword: 'placanje', slots: ['kat'] },
+  { topic: 'locations', rx: /gdje ste|gdje poslujete|gdje se nalazite|lokacij|poslovnic/, keyword: 'lokacije', slots: [] }
+];
+const TOPIC_KEYWORD = Object.fromEntries(DIALOGUE_TOPICS.map(d => [d.topic, d.keyword]));
+const TOPIC_SLOTS = Object.fromEntries(DIALOGUE_TOPICS.map(d => [d.topic, d.slots]));
+
+/* "bilo koja kategorija", "svejedno gdje" — korisnik briše zapamćeni slot */
+const RESET_KAT_RX = /\bbilo koj\w*(?! lokacij| poslovnic)|\bsve kategorije|\bsvejedno|\bnebitno/;
+const RESET_LOCATION_RX = /\bbilo gdje|\bbilo koj\w* (?:lokacij|poslovnic)|\bsve lokacije|\bsvejedno|\bnebitno/;
+
+function detectTopic(text) {
+  const t = softNorm(text);
+  return DIALOGUE_TOPICS.find(d => d.rx.test(t))?.topic || '';
+}
+
+/* Lokacije koje škola stvarno koristi: vozni park + instruktori */
+function locationVocabulary(data, schema = DEFAULT_FIELD_MAP) {
+  const labels = [
+    ...(data.vozni || []).map(r => fv(r, 'vehicle.location', schema)),
+    ...(data.instruktori || []).map(r => fv(r, 'instructor.location', schema))
+  ].flatMap(v => v.split(/[,/;]/)).map(v => v.trim()).filter(Boolean);
+
+  const vocab = new Map(); // ključ (softNorm) -> label
+  for (const label of labels) {
+    const key = softNorm(label);
+    if (key.length >= 3 && !vocab.has(key)) vocab.set(key, label);
+    const first = key.split(' ')[0];
+    if (first.length >= 4 && !vocab.has(first)) vocab.set(first, label);
+  }
+  return vocab;
+}
+
+function detectLocation(text, vocab) {
+  const t = ` ${softNorm(text)} `;
+  let best = '';
+  for (const key of vocab.keys()) {
+    // prefiks riječi pokriva padeže ("na braču", "u kaštelima") i nepostojano a ("u Supetru")
+    const stem = key.length > 5 ? key.slice(0, Math.max(5, key.length - 2)) : key;
+    if (t.includes(` ${stem}`) && key.length > best.length) best = key;
+  }
+  return best ? vocab.get(best) : '';
+}
+
+/* Follow-up bez vlastite teme: "a na Braču?", "a za A2?", "i za C?" */
+const FOLLOW_UP_RX = /^(a|i|pa|sto|a sto|a za|i za|a na|a u)\b/;
+
+function trackDialogueState(prev = {}, userText, vocab) {
+  const kat = detectKat(userText);
+  const location = detectLocation(userText, vocab);
+  const topic = detectTopic(userText);
   const t = softNorm(userText);
+  const followUp = !topic && !!prev.topic && (!!kat || !!location || FOLLOW_UP_RX.test(t));
+
+  // nova tema preuzima samo svoje slotove ("koliko košta B" -> "gdje je poligon" zaboravlja B)
+  const keep = slot => !topic || topic === prev.topic || TOPIC_SLOTS[topic].includes(slot);
+  return {
+    kat: kat || (RESET_KAT_RX.test(t) || !keep('kat') ? '' : prev.kat || ''),
+    location: location || (RESET_LOCATION_RX.test(t) || !keep('location') ? '' : prev.location || ''),
+    topic: topic || prev.topic || '',
+    followUp,
+    mentioned: { kat, location, topic }
+  };
+}
+
+/* Rekonstrukcija stanja iz povijesti (npr. sesija seedana starim klijentom) */
+function stateFromHistory(history, vocab) {
+  return (history || [])
+    .filter(h => h.role === 'user')
+    .reduce((st, h) => trackDialogueState(st, h.content, vocab), {});
+}
 
-  if (
-    t.includes('gdje poslujete') ||
-    t.includes('gdje ste') ||
-    t.includes('gdje se nalazite') ||
-    t.includes('lokacije') ||
-    (t.includes('adresa') && !t.includes('hak')) ||
-    (t.includes('poslovnica'))
-  ) {
-    const schoolLocs = extractSchoolLocationsFromSchoolRow(school);
-    if (schoolLocs) return schoolLocs;
-  }
-
-  if (t.includes('instruktor')) {
-    const rows = data.instruktori || [];
-    if (!rows.length) return '';
-
-    if (t.includes('benzin') || t.includes('dizel') || t.includes('diesel') || t.includes('vrsta motora')) {
-      const lines = rows.map(r => {
-        const ime = norm(r['Ime i prezime instruktora'] || r['Ime i prezime'] || r['Instruktor']);
-        const vozilo = norm(r['Vozilo koje koristi'] || r['Vozilo']);
-        const nap = norm(r['NAPOMENA'] || r['Napomena']);
-        const lok = norm(r['LOKACIJA'] || r['Lokacija']);
+/* ===== Quick facts router: deklarativni registar namjera =====
+   Svaka namjera: patterns (bilo koji), requires (svi), negative (nijedan), priority (veći = prije),
+   slots (moraju biti popunjeni), katPatterns (vrijede samo uz kategoriju spomenutu u toj poruci
+   ili uz kratko HAK/satnica potpitanje na zapamćenu kategoriju),
+   optIn (isključena dok je slug config ne uključi), handler(ctx) -> tekst ili ''.
+   Uzorci su izrazi za hrHas (korijeni, "prefiks*"). Dodatni uzorci po školi dolaze iz
+   stupca AI_INTENT_PATTERNS i iz slug configa ("intents": { "<ime>": { "patterns": [...], "enabled": true } }). */
+const INTENTS = [
+  {
+    name: 'school_locations',
+    priority: 100,
+    patterns: ['gdje poslujete', 'gdje ste', 'gdje se nalazite', 'lokacija', 'poslovnica'],
+    handler: ({ school, schema }) => extractSchoolLocationsFromSchoolRow(school, schema)
+  },
+  {
+    // "adresa" sama po sebi = adresa škole, osim kad pita za HAK
+    name: 'school_address',
+    priority: 99,
+    patterns: ['adresa'],
+    negative: ['hak'],
+    handler: ({ school, schema }) => extractSchoolLocationsFromSchoolRow(school, schema)
+  },
+  {
+    name: 'instructors_engine',
+    priority: 95,
+    patterns: ['benzin*', 'dizel*', 'diesel', 'vrsta motora'],
+    requires: ['instruktor'],
+    handler: ({ data, schema }) => {
+      const lines = (data.instruktori || []).map(r => {
+        const ime = fv(r, 'instructor.name', schema);
+        const vozilo = fv(r, 'instructor.vehicle', schema);
+        const nap = fv(r, 'instructor.note', schema);
+        const lok = fv(r, 'instructor.location', schema);
         return (ime || vozilo || nap) ? `• ${ime}${lok ? ` (${lok})` : ''}${vozilo ? ` – ${vozilo}` : ''}${nap ? ` | ${nap}` : ''}` : '';
       }).filter(Boolean).slice(0, 80);
-
       return lines.length ? `INSTRUKTORI (napomene o vozilu/motoru):\n${lines.join('\n')}` : '';
     }
-
-    if (normSlug(slug) === 'hajduk') {
-      const groups = groupInstruktoriByLokacija(rows);
+  },
+  {
+    name: 'instructors_by_location',
+    priority: 92,
+    optIn: true,
+    patterns: ['instruktor'],
+    handler: ({ data, schema }) => {
+      const groups = groupInstruktoriByLokacija(data.instruktori || [], schema);
       const out = [];
       for (const [loc, list] of groups.entries()) {
         const lines = list.map(r => {
-          const ime = norm(r['Ime i prezime instruktora'] || r['Ime i prezime'] || r['Instruktor']);
-          const kat = norm(r['Kategorije']);
-          const vozilo = norm(r['Vozilo koje koristi'] || r['Vozilo']);
+          const ime = fv(r, 'instructor.name', schema);
+          const kat = fv(r, 'instructor.categories', schema);
+          const vozilo = fv(r, 'instructor.vehicle', schema);
           return `  • ${ime}${kat ? ' – ' + kat : ''}${vozilo ? ' | ' + vozilo : ''}`;
         }).filter(Boolean);
         if (lines.length) out.push(`📍 ${loc}\n${lines.join('\n')}`);
       }
       return out.length ? `INSTRUKTORI PO LOKACIJI:\n\n${out.join('\n\n')}` : '';
     }
-
-    const lines = rows.map(r => {
-      const ime = norm(r['Ime i prezime instruktora'] || r['Ime i prezime'] || r['Instruktor']);
-      const kat = norm(r['Kategorije']);
-      const vozilo = norm(r['Vozilo koje koristi'] || r['Vozilo']);
-      return (ime || kat || vozilo) ? `• ${ime}${kat ? ' – ' + kat : ''}${vozilo ? ' | ' + vozilo : ''}` : '';
-    }).filter(Boolean).slice(0, 80);
-
-    return lines.length ? `INSTRUKTORI:\n${lines.join('\n')}` : '';
+  },
+  {
+    name: 'instructors',
+    priority: 90,
+    patterns: ['instruktor'],
+    handler: ({ data, schema }) => {
+      const lines = (data.instruktori || []).map(r => {
+        const ime = fv(r, 'instructor.name', schema);
+        const kat = fv(r, 'instructor.categories', schema);
+        const vozilo = fv(r, 'instructor.vehicle', schema);
+        return (ime || kat || vozilo) ? `• ${ime}${kat ? ' – ' + kat : ''}${vozilo ? ' | ' + vozilo : ''}` : '';
+      }).filter(Boolean).slice(0, 80);
+      return lines.length ? `INSTRUKTORI:\n${lines.join('\n')}` : '';
+    }
+  },
+  {
+    name: 'category_pack',
+    priority: 80,
+    patterns: ['sve info', 'sve informacije', 'cijena', 'paket'],
+    // "sat"/"hak" bez kategorije su radno vrijeme i HAK lokacija (vidi katScoped u routeIntents)
+    katPatterns: ['sat', 'hak', 'naknad*'],
+    slots: ['kat'],
+    handler: ({ slots, data, schema }) => buildCategorySummary(slots.kat, data, schema)
+  },
+  {
+    name: 'hak_location', // "ispitni centar" je sinonim za hak
+    priority: 70,
+    patterns: ['hak'],
+    handler: ({ data, schema }) => {
+      const row = findBestLocation(data.lokacije || [], ['hak', 'ispitni', 'centar'], schema);
+      return row ? `HAK / ISPITNI CENTAR:\n${formatLocationRow(row, schema)}` : '';
+    }
+  },
+  {
+    name: 'first_aid',
+    priority: 60,
+    patterns: ['prva pomoć'],
+    handler: ({ data, schema }) => {
+      const row = findBestLocation(data.lokacije || [], ['prva pomoć', 'crveni križ'], schema);
+      return row ? `PRVA POMOĆ:\n${formatLocationRow(row, schema)}` : '';
+    }
+  },
+  {
+    name: 'medical_exam',
+    priority: 50,
+    patterns: ['liječnički', 'medicina rada', 'pregled'],
+    handler: ({ data, schema }) => {
+      const row = findBestLocation(data.lokacije || [], ['medicina rada', 'liječnički', 'pregled'], schema);
+      return row ? `LIJEČNIČKI PREGLED:\n${formatLocationRow(row, schema)}` : '';
+    }
+  },
+  {
+    name: 'polygon',
+    priority: 40,
+    patterns: ['poligon', 'vjezba*'],
+    handler: ({ data, schema }) => {
+      const row = findBestLocation(data.lokacije || [], ['poligon', 'vjezba*'], schema);
+      return row ? `POLIGON:\n${formatLocationRow(row, schema)}` : '';
+    }
+  },
+  {
+    name: 'payment',
+    priority: 30,
+    patterns: ['kartica', 'rata', 'plac*'],
+    handler: ({ data, schema }) => {
+      const u = uvjetiText(data.uvjeti, schema);
+      return u ? `UVJETI PLAĆANJA:\n${u}` : '';
+    }
+  },
+  {
+    name: 'vehicles',
+    priority: 20,
+    patterns: ['vozni park', 'vozilo'],
+    handler: ({ slots, data, schema }) => {
+      const { kat, location } = slots;
+      const list = listVehicles(data.vozni || [], kat, location, schema);
+      return list ? `VOZNI PARK${kat ? ` – Kategorija ${kat}` : ''}${location ? ` (${location})` : ''}:\n${list}` : '';
+    }
   }
+];
+const INTENT_BY_NAME = new Map(INTENTS.map(i => [i.name, i]));
+
+// AI_INTENT_PATTERNS bez "ime:" prefiksa vrijedi za glavnu namjeru te tablice
+const TABLE_DEFAULT_INTENT = {
+  kategorije: 'category_pack',
+  cjenik: 'category_pack',
+  hak: 'hak_location',
+  uvjeti: 'payment',
+  instruktori: 'instructors',
+  vozni: 'vehicles',
+  lokacije: 'school_locations'
+};
 
-  const wantedKat = normalizeKat(userText);
-  if (wantedKat && (t.includes('sve info') || t.includes('sve informacije') || t.includes('cijene') || t.includes('sati') || t.includes('hak') || t.includes('paket'))) {
-    const pack = buildCategorySummary(wantedKat, data);
-    if (pack) return pack;
+/* "hak_location: ispitni, polaganje, !teorija; payment: leasing" (redovi ili ';'), "!" = negativni uzorak */
+function parseIntentPatterns(raw, defaultIntent) {
+  const out = [];
+  for (const entry of norm(raw).split(/\r?\n|;/).map(s => s.trim()).filter(Boolean)) {
+    const m = entry.match(/^([a-z_]+)\s*:\s*(.*)$/i);
+    const named = !!m && INTENT_BY_NAME.has(m[1].toLowerCase());
+    const name = named ? m[1].toLowerCase() : defaultIntent;
+    if (!name) continue;
+    for (const p of (named ? m[2] : entry).split(',').map(s => s.trim()).filter(Boolean)) {
+      // slobodan tekst (rečenice) nije uzorak
+      if (p.replace(/^!/, '').split(/\s+/).length > 4) continue;
+      out.push(p.startsWith('!') ? { name, negative: p.slice(1).trim() } : { name, pattern: p });
+    }
   }
+  return out;
+}
 
-  if (t.includes('hak') || t.includes('ispitni centar')) {
-    const row = findBestLocation(data.lokacije || [], ['hak', 'ispitni', 'centar']);
-    if (row) return `HAK / ISPITNI CENTAR:\n${formatLocationRow(row)}`;
-  }
+const intentRegistryCache = new WeakMap(); // data (iz cache-a) -> registar
 
-  if (t.includes('prva pomoc') || t.includes('prva pomoć')) {
-    const row = findBestLocation(data.lokacije || [], ['prva pomoc', 'prva pomoć', 'crveni kriz', 'crveni križ']);
-    if (row) return `PRVA POMOĆ:\n${formatLocationRow(row)}`;
-  }
+/* Registar za školu = ugrađene namjere + AI_INTENT_PATTERNS iz tablica + slug config */
+function intentRegistryFor(slug, data) {
+  const cached = data && intentRegistryCache.get(data);
+  if (cached?.slug === slug) return cached.intents;
 
-  if (t.includes('lijecnick') || t.includes('liječnič') || t.includes('medicina rada') || t.includes('pregled')) {
-    const row = findBestLocation(data.lokacije || [], ['medicina rada', 'lijecnick', 'liječnič', 'pregled']);
-    if (row) return `LIJEČNIČKI PREGLED:\n${formatLocationRow(row)}`;
-  }
+  const extra = new Map(); // name -> { patterns, negative, priority? }
+  const add = (name, key, value) => {
+    if (!INTENT_BY_NAME.has(name)) return;
+    if (!extra.has(name)) extra.set(name, { patterns: [], negative: [] });
+    if (key === 'priority') extra.get(name).priority = value;
+    else extra.get(name)[key].push(...[].concat(value || []));
+  };
 
-  if (t.includes('poligon') || t.includes('vjezbali') || t.includes('vježbali')) {
-    const row = findBestLocation(data.lokacije || [], ['poligon', 'vježbali', 'vjezbali']);
-    if (row) return `POLIGON:\n${formatLocationRow(row)}`;
+  for (const [key, rows] of Object.entries(data || {})) {
+    if (key === 'faq' || !Array.isArray(rows)) continue;
+    const row =
+      rows.find(r => r.AI_INTENT_PATTERNS && normSlug(rowSlugOf(r)) === normSlug(slug)) ||
+      rows.find(r => r.AI_INTENT_PATTERNS && !rowSlugOf(r));
+    if (!row) continue;
+    for (const p of parseIntentPatterns(row.AI_INTENT_PATTERNS, TABLE_DEFAULT_INTENT[key])) {
+      if (p.pattern) add(p.name, 'patterns', p.pattern);
+      else add(p.name, 'negative', p.negative);
+    }
   }
 
-  if (t.includes('kartic') || t.includes('rate') || t.includes('plaćan') || t.includes('placan')) {
-    const u = uvjetiText(data.uvjeti);
-    if (u) return `UVJETI PLAĆANJA:\n${u}`;
+  const own = slugConfig(slug).intents || {};
+  for (const [name, o] of Object.entries(own)) {
+    add(name, 'patterns', o?.patterns);
+    add(name, 'negative', o?.negative);
+    if (Number.isFinite(o?.priority)) add(name, 'priority', o.priority);
   }
 
-  if (t.includes('vozni park') || t.includes('vozila')) {
-    const locHint =
-      t.includes('brac') || t.includes('brač') ? 'brač' :
-      t.includes('supetar') ? 'supetar' :
-      t.includes('kaštel') || t.includes('kastel') ? 'kaštel' :
-      t.includes('trstenik') ? 'trstenik' :
-      t.includes('grad') ? 'grad' : '';
+  const intents = INTENTS
+    .filter(i => own[i.name]?.enabled ?? !i.optIn)
+    .map(i => {
+      const x = extra.get(i.name);
+      return x
+        ? { ...i, patterns: [...i.patterns, ...x.patterns], negative: [...(i.negative || []), ...x.negative], priority: x.priority ?? i.priority, custom: true }
+        : i;
+    })
+    .sort((a, b) => b.priority - a.priority);
+
+  if (data) intentRegistryCache.set(data, { slug, intents });
+  return intents;
+}
+
+/* Kratko potpitanje na zapamćenu kategoriju: "B kategorija cijene" -> "a HAK naknade?" / "a sati?"
+   ("Gdje je HAK?" ostaje pitanje za lokaciju, "do koliko sati radite?" za radno vrijeme) */
+const KAT_FOLLOW_UP_TOPICS = new Set(['hak', 'hours']);
+const KAT_FOLLOW_UP_MAX_TOKENS = 4;
+const NOT_KAT_FOLLOW_UP_RX = /\bgdje\b|adres|lokacij|\bradi|radno vrijeme|otvoren/;
 
-    const wanted = wantedKat || '';
-    const list = listVehicles(data.vozni || [], wanted, locHint);
-    if (list) return `VOZNI PARK${wanted ? ` – Kategorija ${wanted}` : ''}${locHint ? ` (${locHint})` : ''}:\n${list}`;
+function isKatFollowUp(userText, ctx) {
+  if (!ctx.kat) return false;
+  const t = softNorm(userText);
+  const topic = detectTopic(userText) || (ctx.followUp ? ctx.topic : '');
+  return KAT_FOLLOW_UP_TOPICS.has(topic) &&
+    !NOT_KAT_FOLLOW_UP_RX.test(t) &&
+    hrTokens(userText).length <= KAT_FOLLOW_UP_MAX_TOKENS;
+}
+
+/* Sve namjere koje poruka pogađa, po prioritetu, s razlogom odbijanja (za test harness) */
+function routeIntents(userText, data, slug, ctx = {}) {
+  // follow-up bez teme nastavlja prethodnu temu, kao da je pitanje postavljeno u cijelosti
+  const q = ctx.followUp && TOPIC_KEYWORD[ctx.topic] ? `${userText} ${TOPIC_KEYWORD[ctx.topic]}` : userText;
+  const t = hrNormalize(q); // korijeni: "instruktorima", "vozilom", "poligonu" -> osnovni oblik
+  const schema = schemaFor(slug);
+
+  const mentionedKat = detectKat(userText);
+  const slots = {
+    kat: mentionedKat || ctx.kat || '',
+    location: ctx.location || detectLocation(userText, locationVocabulary(data, schema))
+  };
+
+  const katScoped = !!mentionedKat || isKatFollowUp(userText, ctx);
+
+  const candidates = [];
+  for (const intent of intentRegistryFor(slug, data)) {
+    const hit = intent.patterns.find(p => hrHas(t, p)) ||
+      (katScoped && (intent.katPatterns || []).find(p => hrHas(t, p)));
+    if (!hit) continue;
+    const missingReq = (intent.requires || []).find(p => !hrHas(t, p));
+    const neg = (intent.negative || []).find(p => hrHas(t, p));
+    const missingSlot = (intent.slots || []).find(s => !slots[s]);
+    candidates.push({
+      intent,
+      pattern: hit,
+      rejected: missingReq ? `requires "${missingReq}"` : neg ? `negative "${neg}"` : missingSlot ? `slot ${missingSlot}` : null
+    });
   }
+  return { t, slots, schema, candidates };
+}
 
-  return '';
+/* Prva namjera čiji handler ima podatke -> { handler, text } ili null */
+function answerSegment(text, data, school, slug, ctx) {
+  const { slots, schema, candidates } = routeIntents(text, data, slug, ctx);
+  for (const c of candidates) {
+    if (c.rejected) continue;
+    const out = c.intent.handler({ userText: text, data, school, slug, schema, slots });
+    if (out) return { handler: c.intent.name, text: out, slots };
+  }
+  return { handler: null, text: '', slots, matched: candidates.length > 0 };
 }
 
-/* ===== Prompt ===== */
-function buildSystemPrompt(school, data, facts, aiSections) {
-  const persona = norm(school['AI_PERSONA'] || 'Smiren, stručan instruktor.');
-  const ton = norm(school['AI_TON'] || 'prijateljski, jasan');
-  const stil = norm(school['AI_STIL'] || 'kratki odlomci; konkretno');
-  const pravila = norm(school['AI_PRAVILA'] || 'Odgovaraj isključivo prema INDIVIDUAL podacima. Ne nagađaj.');
-  const uvod = norm(school['AI_POZDRAV'] || 'Bok! 👋 Kako ti mogu pomoći oko upisa, cijena ili termina?');
+/* "koliko košta B kategorija i gdje je poligon?" -> ["koliko košta B kategorija", "gdje je poligon"]
+   (ne dijelimo na "ili" ni "a" — "benzin ili dizel", "kategorija A") */
+const SEGMENT_SPLIT_RX = /[?!;]+|[.,]\s+|\s+(?:i|te|pa|također|takodjer|takoder|osim toga)\s+/i;
+
+function splitQuestionParts(text) {
+  const parts = [];
+  let carry = '';
+  for (const raw of norm(text).split(SEGMENT_SPLIT_RX).map(s => s.trim()).filter(Boolean)) {
+    // dio bez sadržaja ("Bok", "i B", "hvala") se lijepi na susjedni dio
+    if (hrTokens(raw).length >= 2) {
+      parts.push(carry ? `${carry} ${raw}` : raw);
+      carry = '';
+    } else if (parts.length) {
+      parts[parts.length - 1] += ` i ${raw}`;
+    } else {
+      carry = carry ? `${carry} ${raw}` : raw;
+    }
+  }
+  return parts.length ? parts : [norm(text)];
+}
 
-  const tel = norm(school['Telefon'] || school['Telefon (fiksni)'] || school['Mobitel']);
-  const web = norm(school['Web'] || school['Web stranica']);
-  const mail = norm(school['Email'] || school['E-mail']);
+/* Sve namjere iz poruke: svaki dio pitanja ide kroz router zasebno.
+   Vraća { handler, handlers, text, parts: [{ question, handler, text }], unanswered: [dijelovi bez odgovora] } ili null.
+   ctx = dialogue state (kat/location/topic) — popunjava ono što trenutna poruka ne kaže */
+function extractFactsDetailed(userText, data, school, slug, ctx = {}) {
+  const segments = splitQuestionParts(userText);
+  if (segments.length === 1) {
+    const one = answerSegment(userText, data, school, slug, ctx);
+    return one.handler
+      ? { handler: one.handler, handlers: [one.handler], text: one.text, parts: [{ question: userText, handler: one.handler, text: one.text }], unanswered: [] }
+      : null;
+  }
+
+  // slotovi: prvo iz samog dijela ("koliko košta B i koliko košta C?"), pa iz cijele poruke
+  // ("koliko košta B i koliko sati ima?"), pa iz stanja razgovora
+  const vocab = locationVocabulary(data, schemaFor(slug));
+  const msgKat = detectKat(userText);
+  const msgLocation = detectLocation(userText, vocab);
+
+  const parts = [];
+  const unanswered = [];
+  const seen = new Set(); // handler + slotovi — isti odgovor ne ponavljamo
+  for (const question of segments) {
+    const segCtx = {
+      kat: detectKat(question) || msgKat || ctx.kat || '',
+      location: detectLocation(question, vocab) || msgLocation || ctx.location || ''
+    };
+    const out = answerSegment(question, data, school, slug, segCtx);
+    if (!out.handler) {
+      unanswered.push(question);
+      continue;
+    }
+    const key = `${out.handler}|${out.slots.kat}|${out.slots.location}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    parts.push({ question, handler: out.handler, text: out.text });
+  }
+  if (!parts.length) return null;
+
+  return {
+    handler: parts[0].handler,
+    handlers: parts.map(p => p.handler),
+    text: parts.map(p => p.text).join('\n\n'),
+    parts,
+    unanswered
+  };
+}
+
+function extractFacts(userText, data, school, slug, ctx = {}) {
+  return extractFactsDetailed(userText, data, school, slug, ctx)?.text || '';
+}
+
+/* ===== Upis (lead capture) kroz razgovor -> Airtable =====
+   Koraci: name -> contact -> category -> location -> consent -> upis u LEADS tablicu.
+   Stanje živi u session.state.enrol; "odustajem" prekida tok.
+*/
+const LEAD_DEDUP_MS = Math.max(0, Number(LEAD_DEDUP_WINDOW_MS) || 0);
+const recentLeads = new Map(); // dedupKey -> timestamp
+
+// samo izričita želja — "može li se upisati s 16?" je pitanje, ne početak upisa
+const ENROL_INTENT_RX = [
+  /\b(zelim|zelio bih|zeljela bih|htio bih|htjela bih|hocu)\b.*\b(upis|upisa|upisati|prijav\w*)/,
+  /\b(upisi me|upisite me|prijavi me|prijavite me|upisujem se)\b/
+];
+const ENROL_CANCEL_RX = /\b(odustajem|odustani|prekini|stop|ne zelim|necu|ipak ne)\b/;
+const YES_RX = /^(da|moze|slazem|prihvacam|ok|okej|naravno|u redu)\b/;
+const NO_RX = /^(ne|nikako|ne slazem)\b/;
+const SKIP_RX = /\b(svejedno|bilo koja|bilo koje|nije bitno|preskoci)\b/;
+
+// pitanja ("koliko košta B kategorija") nisu ime
+const NOT_A_NAME_RX = /\b(koliko|kako|gdje|kada|kad|sto|sta|zasto|tko|koji|koja|koje|li|moze|mogu|imate|ima|trebam|zelim|kategorij\w*)\b/;
+
+const EMAIL_RX = /[^\s@]+@[^\s@]+\.[a-z]{2,}/i;
+const PHONE_RX = /(\+?\d[\d\s/-]{6,16}\d)/;
+
+function wantsToEnrol(text) {
+  const t = softNorm(text);
+  return ENROL_INTENT_RX.some(rx => rx.test(t));
+}
+
+function parsePhone(text) {
+  const m = norm(text).match(PHONE_RX);
+  if (!m) return '';
+  const digits = m[1].replace(/[^\d+]/g, '');
+  const bare = digits.replace(/^\+/, '');
+  return bare.length >= 8 && bare.length <= 13 ? digits : '';
+}
+
+function parseEmail(text) {
+  return (norm(text).match(EMAIL_RX)?.[0] || '').toLowerCase();
+}
+
+function parseName(text) {
+  const raw = norm(text)
+    .replace(EMAIL_RX, ' ')
+    .replace(PHONE_RX, ' ')
+    .replace(/^(ja sam|zovem se|ime mi je|moje ime je)\s+/i, '');
+  if (/[\d?]/.test(raw) || NOT_A_NAME_RX.test(softNorm(raw)) || detectTopic(raw) || detectKat(raw)) return '';
+  const cleaned = raw
+    .replace(/[^\p{L}\s'-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const words = cleaned.split(' ').filter(w => w.length >= 2);
+  return words.length >= 2 && words.length <= 5 ? words.map(w => w[0].toUpperCase() + w.slice(1)).join(' ') : '';
+}
+
+/* Ponuđene lokacije = one iz tablica škole */
+function schoolLocationOptions(vocab) {
+  return [...new Set(vocab.values())];
+}
+
+function availableKats(data, schema) {
+  return new Set((data.kategorije || []).map(r => normalizeKat(fv(r, 'category.code', schema))).filter(Boolean));
+}
+
+/* Pokupi sve što poruka nudi (ljudi često pošalju ime i broj u istoj poruci).
+   Kategorija samo u svom koraku — "Robert", "bez" i slično ne smiju postati kategorija. */
+function absorbLeadFields(lead, text, vocab) {
+  if (!lead.phone) lead.phone = parsePhone(text);
+  if (!lead.email) lead.email = parseEmail(text);
+  if (lead.location === undefined && schoolLocationOptions(vocab).length) {
+    const loc = detectLocation(text, vocab);
+    if (loc) lead.location = loc;
+  }
+}
+
+function nextEnrolStep(lead, vocab) {
+  if (!lead.name) return 'name';
+  if (!lead.phone && !lead.email) return 'contact';
+  if (!lead.kat) return 'category';
+  if (lead.location === undefined && schoolLocationOptions(vocab).length) return 'location';
+  if (!lead.consent) return 'consent';
+  return 'submit';
+}
+
+function enrolPrompt(step, lead, { kats, vocab, school, schema }) {
+  switch (step) {
+    case 'name':
+      return 'Super, idemo s upisom! 📝 Kako se zoveš (ime i prezime)?';
+    case 'contact':
+      return `Hvala, ${lead.name.split(' ')[0]}! Na koji broj mobitela ili e-mail ti se možemo javiti?`;
+    case 'category':
+      return kats.size
+        ? `Za koju kategoriju se upisuješ? (${[...kats].join(', ')})`
+        : 'Za koju kategoriju se upisuješ? (npr. B, A2, C)';
+    case 'location': {
+      const opts = schoolLocationOptions(vocab).slice(0, 6);
+      return `Koja ti lokacija najviše odgovara?${opts.length ? ` (${opts.join(', ')} ili "svejedno")` : ''}`;
+    }
+    case 'consent': {
+      const privacy = fv(school, 'school.privacy', schema);
+      return [
+        'Još samo privola (GDPR): tvoje podatke (ime, kontakt, kategorija, lokacija) koristimo isključivo kako bismo te kontaktirali oko upisa.',
+        privacy ? `Pravila privatnosti: ${privacy}` : '',
+        'Slažeš li se? (da/ne)'
+      ].filter(Boolean).join('\n');
+    }
+    default:
+      return '';
+  }
+}
+
+function leadDedupKey(slug, lead) {
+  const contact = `${norm(lead.phone).replace(/\D/g, '').slice(-9)}|${norm(lead.email).toLowerCase()}`;
+  return crypto.createHash('sha256').update(`${slug}|${contact}|${lead.kat}`).digest('hex');
+}
+
+/* Duplikat: ista osoba + kategorija u prozoru LEAD_DEDUP_MS, ili već postoji red u tablici upisa */
+function isDuplicateLead(key, lead, data, schema) {
+  const at = recentLeads.get(key);
+  if (at && Date.now() - at < LEAD_DEDUP_MS) return true;
+
+  const phone = norm(lead.phone).replace(/\D/g, '').slice(-9);
+  return (data.upisi || []).some(r => {
+    const samePerson =
+      (phone && fv(r, 'lead.phone', schema).replace(/\D/g, '').slice(-9) === phone) ||
+      (lead.email && fv(r, 'lead.email', schema).toLowerCase() === lead.email);
+    return samePerson && normalizeKat(fv(r, 'lead.category', schema)) === lead.kat;
+  });
+}
+
+async function writeLead(slug, lead, schema) {
+  const table = slugConfig(slug).enrol?.table || LEADS_TABLE;
+  const col = logical => schema[logical]?.[0];
+  const fields = {
+    [col('lead.name')]: lead.name,
+    [col('lead.phone')]: lead.phone,
+    [col('lead.email')]: lead.email,
+    [col('lead.category')]: lead.kat,
+    [col('lead.location')]: lead.location,
+    [col('lead.consent')]: true,
+    [col('lead.slug')]: slug,
+    [col('lead.source')]: 'AI chat'
+  };
+  for (const k of Object.keys(fields)) if (k === 'undefined' || fields[k] === '' || fields[k] === undefined) delete fields[k];
+
+  await atThrottle();
+  // typecast: single-select/kategorija vrijednosti se mapiraju bez ručnog usklađivanja
+  const rec = await atInd(table).create(fields, { typecast: true });
+  return { table, id: rec?.id || rec?.getId?.() || null };
+}
+
+/* Koraci nakon danog pristanka — tek tada upis smije u povijest sesije i log odgovora (GDPR) */
+const ENROL_CONSENTED_STEPS = new Set(['submitted', 'duplicate']);
+const ENROL_REDACTED = '[upis — podaci skriveni do privole]';
+
+/* Vraća { text, step } ako je upis u tijeku / pokrenut, inače null */
+async function handleEnrolment(session, userText, { data, school, slug, schema, vocab }) {
+  const t = softNorm(userText);
+  let st = session.state.enrol;
+
+  if (!st) {
+    if (!wantsToEnrol(userText)) return null;
+    st = session.state.enrol = { step: 'name', lead: {}, startedAt: Date.now() };
+    absorbLeadFields(st.lead, userText, vocab);
+    st.step = nextEnrolStep(st.lead, vocab);
+    return { step: st.step, text: enrolPrompt(st.step, st.lead, { kats: availableKats(data, schema), vocab, school, schema }) };
+  }
+
+  if (ENROL_CANCEL_RX.test(t)) {
+    delete session.state.enrol;
+    return { step: 'cancelled', text: 'U redu, prekinuo sam upis. Ako se predomisliš, samo napiši "želim se upisati". 🙂' };
+  }
+
+  const kats = availableKats(data, schema);
+  const lead = st.lead;
+  let problem = '';
+
+  switch (st.step) {
+    case 'name':
+      lead.name = parseName(userText);
+      if (!lead.name) problem = 'Trebam ime i prezime (npr. "Ana Horvat").';
+      break;
+    case 'contact':
+      if (!parsePhone(userText) && !parseEmail(userText)) problem = 'To ne izgleda kao broj mobitela ili e-mail. Pokušaj ponovno (npr. 091 234 5678).';
+      break;
+    case 'category': {
+      // ovdje je cijela poruka odgovor: samo "A" (ili "A kategorija") je kategorija, ne veznik
+      const bare = t.replace(/\bkategorij\w*|\bkat\b/g, ' ').trim();
+      const kat = (/^\S+$/.test(bare) && normalizeKat(bare)) || detectKat(userText);
+      if (!kat) problem = 'Nisam prepoznao kategoriju.';
+      else if (kats.size && !kats.has(kat)) problem = `Kategoriju ${kat} trenutno ne nudimo.`;
+      else lead.kat = kat;
+      break;
+    }
+    case 'location': {
+      const loc = SKIP_RX.test(t) ? '' : detectLocation(userText, vocab);
+      if (loc || SKIP_RX.test(t)) lead.location = loc;
+      else problem = 'Nisam prepoznao lokaciju.';
+      break;
+    }
+    case 'consent':
+      if (NO_RX.test(t)) {
+        delete session.state.enrol;
+        return { step: 'declined', text: 'Razumijem — bez privole ne možemo spremiti prijavu. Ako želiš, nazovi nas izravno. 📞' };
+      }
+      if (YES_RX.test(t)) lead.consent = true;
+      else problem = 'Molim odgovori s "da" ili "ne".';
+      break;
+  }
+
+  // opportunistički: kontakt/lokacija poslani uz odgovor na neko drugo pitanje
+  absorbLeadFields(lead, userText, vocab);
+
+  const ctx = { kats, vocab, school, schema };
+  if (problem) return { step: st.step, text: `${problem}\n${enrolPrompt(st.step, lead, ctx)}` };
+
+  st.step = nextEnrolStep(lead, vocab);
+  if (st.step !== 'submit') return { step: st.step, text: enrolPrompt(st.step, lead, ctx) };
+
+  const contact = lead.phone || lead.email;
+  const key = leadDedupKey(slug, lead);
+  delete session.state.enrol;
+
+  if (session.state.lastLeadKey === key || isDuplicateLead(key, lead, data, schema)) {
+    return { step: 'duplicate', text: `Već imamo tvoju prijavu za kategoriju ${lead.kat} — javit ćemo ti se na ${contact}. 🙂` };
+  }
+
+  try {
+    const out = await writeLead(slug, lead, schema);
+    recentLeads.set(key, Date.now());
+    session.state.lastLeadKey = key;
+    console.log(`📝 Lead spremljen | slug=${slug} | table=${out.table} | id=${out.id} | kat=${lead.kat}`);
+    const tel = fv(school, 'school.phone', schema);
+    return {
+      step: 'submitted',
+      leadId: out.id,
+      text: [
+        `✅ Hvala, ${lead.name.split(' ')[0]}! Prijava za kategoriju ${lead.kat}${lead.location ? ` (${lead.location})` : ''} je zaprimljena.`,
+        `Javit ćemo ti se na ${contact} u najkraćem roku.`,
+        tel ? `Za sve hitno: ${tel}` : ''
+      ].filter(Boolean).join('\n')
+    };
+  } catch (e) {
+    console.error('LEAD_WRITE_ERROR', slug, e?.statusCode || '', e?.message);
+    const tel = fv(school, 'school.phone', schema);
+    return {
+      step: 'error',
+      text: `Nažalost, prijavu trenutno ne mogu spremiti. 😕${tel ? ` Molim te nazovi nas na ${tel}` : ' Molim te pokušaj kasnije'} i rado ćemo te upisati.`
+    };
+  }
+}
+
+/* ===== Prompt predlošci (verzionirani, dodjela po slugu) =====
+   Izvori: ugrađeni "default", datoteke PROMPT_TEMPLATE_DIR/<ime>.<verzija>.(txt|md)
+   (npr. default.v1.9.md) i Airtable tablica PROMPT_TEMPLATES_TABLE (Naziv, Verzija, Predložak, Aktivno, Slug).
+   Dodjela: slug config "prompt": { "template", "version" } > Airtable red sa Slug škole > "default".
+   Bez verzije uzima se najnovija. Razgovor ostaje na verziji s kojom je počeo (session.state.prompt). */
+const PROMPT_PLACEHOLDERS = ['persona', 'ton', 'stil', 'pravila', 'pozdrav', 'telefon', 'email', 'web', 'radno_vrijeme', 'cinjenice', 'sekcije'];
+
+const DEFAULT_PROMPT_TEMPLATE = {
+  name: 'default',
+  version: promptVersion,
+  source: 'builtin',
+  text: `
+Ti si AI asistent autoškole.
+
+**Politika odgovaranja (SAMO INDIVIDUAL BAZA):**
+1) Koristi isključivo INDIVIDUAL podatke (tablice + činjenice). Ne koristi vanjske izvore.
+2) Ako podatak ne postoji, reci iskreno da nemaš informaciju i ponudi kontakt. Ne pretpostavljaj i ne izmišljaj.
+3) Za cijene i sate: primarni izvor je CJENIK + KATEGORIJE; HAK naknade iz tablice PLAĆANJE HAK-u; dodatni sati iz DODATNE USLUGE.
+4) Poštuj niže AI okvire (AI_CONTEXT/INTENT_PATTERNS/OUTPUT_RULES/DISAMBIGUATION/FALLBACK) za svaku tablicu.
+
+Osobnost: {{persona}}
+Ton: {{ton}}
+Stil: {{stil}}
+Pravila: {{pravila}}
+
+Kontakt: {{telefon}} | {{email}} | {{web}} | Radno vrijeme: {{radno_vrijeme}}
+{{cinjenice}}
+
+{{sekcije}}
+
+Otvarajući pozdrav: {{pozdrav}}
+
+Važno:
+- Kad korisnik pita "gdje ste / gdje poslujete / lokacije", koristi AUTOŠKOLE -> "Opis lokacije" i ne spominji ništa o Prvoj pomoći osim ako je izričito pita.
+`.trim()
+};
+
+const TEMPLATE_FIELD_MAP = {
+  'template.name': ['Naziv', 'Name'],
+  'template.version': ['Verzija', 'Version'],
+  'template.text': ['Predložak', 'Template', 'Tekst'],
+  'template.active': ['Aktivno', 'Active']
+};
+
+/* "v1.10" > "v1.9" (numerički po segmentima) */
+function compareVersions(a, b) {
+  const pa = norm(a).replace(/^v/i, '').split(/[.-]/).map(x => Number(x) || 0);
+  const pb = norm(b).replace(/^v/i, '').split(/[.-]/).map(x => Number(x) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  }
+  return 0;
+}
+
+function readTemplateFiles(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(f => ({ f, m: f.match(/^([\w-]+)\.(v[\w.-]+?)\.(txt|md)$/i) }))
+    .filter(x => x.m)
+    .map(({ f, m }) => ({
+      name: m[1].toLowerCase(),
+      version: m[2],
+      source: `file:${f}`,
+      text: fs.readFileSync(path.join(dir, f), 'utf8').trim()
+    }));
+}
+
+async function readTemplateTable(table) {
+  if (!table) return [];
+  try {
+    const recs = await atSelectAll(table, {});
+    return recs.map(recFields)
+      .filter(r => String(fraw(r, 'template.active', TEMPLATE_FIELD_MAP) ?? true) !== 'false')
+      .map(r => ({
+        name: fv(r, 'template.name', TEMPLATE_FIELD_MAP).trim().toLowerCase(),
+        version: fv(r, 'template.version', TEMPLATE_FIELD_MAP).trim(),
+        source: `airtable:${r._id}`,
+        slug: normSlug(rowSlugOf(r)),
+        text: fv(r, 'template.text', TEMPLATE_FIELD_MAP).trim()
+      }))
+      .filter(t => t.name && t.version && t.text);
+  } catch (e) {
+    if (!isMissingTableError(e)) console.warn('PROMPT_TEMPLATES_LOAD_WARN', table, e?.message);
+    return [];
+  }
+}
+
+let promptTemplateCache = null; // { at, list }
+let promptTemplateLoad = null;
+const PROMPT_TEMPLATE_TTL = Math.max(0, Number(PROMPT_TEMPLATE_TTL_MS) || 0);
+
+async function loadPromptTemplates({ fresh = false } = {}) {
+  if (!fresh && promptTemplateCache && Date.now() - promptTemplateCache.at < PROMPT_TEMPLATE_TTL) return promptTemplateCache.list;
+  if (!promptTemplateLoad) {
+    promptTemplateLoad = (async () => {
+      const list = [DEFAULT_PROMPT_TEMPLATE, ...readTemplateFiles(PROMPT_TEMPLATE_DIR), ...(await readTemplateTable(PROMPT_TEMPLATES_TABLE))];
+      promptTemplateCache = { at: Date.now(), list };
+      return list;
+    })().finally(() => { promptTemplateLoad = null; });
+  }
+  return promptTemplateLoad;
+}
+
+function pickTemplate(list, name, version) {
+  const same = list.filter(t => t.name === normSlug(name));
+  if (version) return same.find(t => t.version === version) || null;
+  return same.sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+}
+
+/* pinned = session.state.prompt ({ name, version }) — razgovor ne mijenja verziju usred toka */
+async function resolvePromptTemplate(slug, pinned = null) {
+  const list = await loadPromptTemplates();
+  if (pinned?.name) {
+    const t = pickTemplate(list, pinned.name, pinned.version);
+    if (t) return t;
+  }
+
+  const cfg = slugConfig(slug).prompt || {};
+  if (cfg.template) {
+    const t = pickTemplate(list, cfg.template, cfg.version);
+    if (t) return t;
+    console.warn(`⚠️ Prompt predložak "${cfg.template}${cfg.version ? '@' + cfg.version : ''}" za ${slug} ne postoji — koristim default.`);
+  }
+
+  const assigned = list.filter(t => t.slug && t.slug === normSlug(slug)).sort((a, b) => compareVersions(b.version, a.version))[0];
+  return assigned || pickTemplate(list, 'default') || DEFAULT_PROMPT_TEMPLATE;
+}
+
+/* {{placeholder}} -> vrijednost; nepoznati placeholderi se brišu i vraćaju u "unknown" */
+function renderPromptTemplate(text, vars) {
+  const unknown = [];
+  const out = norm(text).replace(/\{\{\s*([a-z_]+)\s*\}\}/gi, (m, key) => {
+    const k = key.toLowerCase();
+    if (Object.hasOwn(vars, k)) return vars[k];
+    unknown.push(k);
+    return '';
+  });
+  return { text: out.replace(/\n{3,}/g, '\n\n').trim(), unknown };
+}
+
+/* ===== A/B eksperimenti (per slug: "experiment" u SLUG_CONFIG_FILE) =====
+   { "id": "mini-vs-4o", "variants": [
+       { "id": "control", "weight": 50 },
+       { "id": "mini", "weight": 50, "model": "gpt-4o-mini", "temperature": 0.3, "maxTokens": 500, "template": "kratki", "version": "v2" } ] }
+   Sesija dobiva varijantu deterministički (hash sessionId + id eksperimenta) i zadržava je
+   (session.state.experiment). "active": false gasi eksperiment bez brisanja konfiguracije.
+   Razgovori započeti prije eksperimenta (već imaju predložak u sesiji) ostaju izvan njega. */
+function experimentFor(slug) {
+  const exp = slugConfig(slug).experiment;
+  if (!exp?.id || exp.active === false || !Array.isArray(exp.variants)) return null;
+  const variants = exp.variants.filter(v => v?.id && Number(v.weight ?? 1) > 0);
+  return variants.length ? { ...exp, variants } : null;
+}
+
+function assignVariant(exp, sessionId) {
+  const total = exp.variants.reduce((a, v) => a + Number(v.weight ?? 1), 0);
+  const h = crypto.createHash('sha1').update(`${exp.id}:${sessionId}`).digest().readUInt32BE(0);
+  let point = (h / 2 ** 32) * total;
+  for (const v of exp.variants) {
+    point -= Number(v.weight ?? 1);
+    if (point < 0) return v;
+  }
+  return exp.variants[exp.variants.length - 1];
+}
+
+/* Varijanta za sesiju (zabilježena u session.state.experiment) ili null */
+function sessionVariant(session, slug) {
+  const exp = experimentFor(slug);
+  if (!exp) return null;
+  const pinned = session.state.experiment;
+  if (pinned?.id === exp.id && !pinned.variant) return null;
+  if (pinned?.id !== exp.id && session.state.prompt) {
+    session.state.experiment = { id: exp.id, variant: null };
+    return null;
+  }
+  let variant = pinned?.id === exp.id ? exp.variants.find(v => v.id === pinned.variant) : null;
+  if (!variant) {
+    variant = assignVariant(exp, session.id);
+    session.state.experiment = { id: exp.id, variant: variant.id };
+  }
+  return { experiment: exp.id, ...variant };
+}
+
+/* ===== Log odgovora — za feedback i izvještaje po varijanti =====
+   REPLY_LOG_FILE je JSONL: prvi red za id je zapis, kasniji redovi { id, ...izmjene } (odgovor, feedback).
+   Na bootu se zadnjih REPLY_LOG_MAX zapisa učita u memoriju, pa feedback i A/B brojke prežive restart.
+   Kad datoteka naraste preko 2× REPLY_LOG_MAX redova, prepiše se sažeta (na bootu i tijekom rada). */
+const REPLY_LOG_LIMIT = Math.max(100, Number(REPLY_LOG_MAX) || 5000);
+
+/* Vraća { log, lines } — lines = broj redova u datoteci (za kompakciju tijekom rada) */
+function loadReplyLog(file) {
+  const log = new Map(); // replyId -> zapis (Map čuva redoslijed umetanja)
+  let raw = '';
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('REPLY_LOG_READ_WARN', e.message);
+  }
+  let lines = 0;
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    lines++;
+    try {
+      const r = JSON.parse(line);
+      if (r?.id) log.set(r.id, { ...log.get(r.id), ...r });
+    } catch {
+      // oštećen red (npr. prekinut upis) preskačemo
+    }
+  }
+  while (log.size > REPLY_LOG_LIMIT) log.delete(log.keys().next().value);
+
+  // datoteka raste s izmjenama — kad je dvostruko veća od onoga što čuvamo, prepiše se sažeta
+  if (lines > 2 * REPLY_LOG_LIMIT) {
+    try {
+      fs.writeFileSync(`${file}.tmp`, [...log.values()].map(r => JSON.stringify(r) + '\n').join(''), 'utf8');
+      fs.renameSync(`${file}.tmp`, file);
+      lines = log.size;
+    } catch (e) {
+      console.warn('REPLY_LOG_COMPACT_WARN', e.message);
+    }
+  }
+  return { log, lines };
+}
+
+const { log: replyLog, lines: replyLogBootLines } = loadReplyLog(REPLY_LOG_FILE);
+let replyLogLines = replyLogBootLines;
+let replyLogWrites = Promise.resolve(); // upisi u redu — izmjena ne smije u datoteku prije svog zapisa
+
+// isto kao pri bootu, ali tijekom rada: replyLog u memoriji već sadrži sve izmjene
+async function compactReplyLog() {
+  const tmp = `${REPLY_LOG_FILE}.tmp`;
+  await fs.promises.writeFile(tmp, [...replyLog.values()].map(r => JSON.stringify(r) + '\n').join(''), 'utf8');
+  await fs.promises.rename(tmp, REPLY_LOG_FILE);
+  replyLogLines = replyLog.size;
+}
+
+function persistReply(line) {
+  replyLogWrites = replyLogWrites
+    .then(() => fs.promises.mkdir(path.dirname(REPLY_LOG_FILE), { recursive: true }))
+    .then(() => fs.promises.appendFile(REPLY_LOG_FILE, JSON.stringify(line) + '\n', 'utf8'))
+    .then(() => {
+      if (++replyLogLines > 2 * REPLY_LOG_LIMIT) {
+        return compactReplyLog().catch(e => console.warn('REPLY_LOG_COMPACT_WARN', e?.message));
+      }
+    })
+    .catch(e => console.warn('REPLY_LOG_WRITE_WARN', e?.message));
+}
+
+function recordReply(entry) {
+  const id = crypto.randomUUID();
+  const record = { id, at: new Date().toISOString(), ...entry };
+  replyLog.set(id, record);
+  while (replyLog.size > REPLY_LOG_LIMIT) replyLog.delete(replyLog.keys().next().value);
+  persistReply(record);
+  return id;
+}
+
+function updateReply(id, patch) {
+  const record = replyLog.get(id);
+  if (!record) return null;
+  Object.assign(record, patch);
+  persistReply({ id, ...patch });
+  return record;
+}
+
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+
+function experimentReport(slug, experimentId) {
+  const rows = [...replyLog.values()].filter(r => r.slug === slug && r.experiment === experimentId);
+  const byVariant = new Map();
+  for (const r of rows) {
+    if (!byVariant.has(r.variant)) byVariant.set(r.variant, []);
+    byVariant.get(r.variant).push(r);
+  }
+
+  return [...byVariant.entries()].map(([variant, list]) => {
+    const lat = list.map(r => r.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+    const rated = list.filter(r => r.feedback);
+    const up = rated.filter(r => r.feedback.rating > 0).length;
+    const sources = {};
+    for (const r of list) sources[r.source] = (sources[r.source] || 0) + 1;
+    return {
+      variant,
+      replies: list.length,
+      sessions: new Set(list.map(r => r.sessionId)).size,
+      latencyMs: {
+        avg: lat.length ? Math.round(lat.reduce((a, b) => a + b, 0) / lat.length) : null,
+        p50: percentile(lat, 0.5),
+        p95: percentile(lat, 0.95)
+      },
+      fallbackRate: list.length ? Number((list.filter(r => r.fallback).length / list.length).toFixed(3)) : 0,
+      tokens: list.reduce((a, r) => a + (r.tokens || 0), 0),
+      sources,
+      feedback: { rated: rated.length, positive: up, negative: rated.length - up, positiveRate: rated.length ? Number((up / rated.length).toFixed(3)) : null }
+    };
+  });
+}
+
+/* ===== Povratna informacija korisnika (👍/👎) vezana uz replyId =====
+   Spremamo u FEEDBACK_FILE (JSONL, zadnji zapis za replyId vrijedi) zajedno s pitanjem,
+   izvorom odgovora i FAQ retkom — osoblje iz negativnih pravi nove FAQ retke. */
+const FEEDBACK_TEXT_MAX = 2000;
+
+function parseRating(v) {
+  const s = norm(v).trim().toLowerCase();
+  if (['1', '+1', 'up', 'true', 'yes', 'da', 'good', '👍'].includes(s)) return 1;
+  // "0" nije ni gore ni dolje (neutralno? neocijenjeno?) — odbija se kao nevažeće
+  if (['-1', 'down', 'false', 'no', 'ne', 'bad', '👎'].includes(s)) return -1;
+  return null;
+}
+
+async function appendFeedback(entry) {
+  await fs.promises.mkdir(path.dirname(FEEDBACK_FILE), { recursive: true });
+  await fs.promises.appendFile(FEEDBACK_FILE, JSON.stringify(entry) + '\n', 'utf8');
+}
+
+async function readFeedback() {
+  const raw = await fs.promises.readFile(FEEDBACK_FILE, 'utf8').catch(e => {
+    if (e.code !== 'ENOENT') console.warn('FEEDBACK_READ_WARN', e.message);
+    return '';
+  });
+  const byReply = new Map();
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const f = JSON.parse(line);
+      byReply.set(f.replyId, f);
+    } catch {
+      // oštećen red (npr. prekinut upis) preskačemo
+    }
+  }
+  return [...byReply.values()];
+}
+
+/* ===== Prompt ===== */
+/* Sekcije s procjenom tokena, rangirane po relevantnosti, unutar budžeta.
+   Zaglavlje (politika, osobnost, kontakt) i ČINJENICE idu uvijek; podatkovne i AI_* sekcije
+   se rangiraju (pitanje + kategorija) i dodaju dok stane u budžet. */
+const estimateTokens = text => Math.ceil(norm(text).length / 4); // gruba procjena (~4 znaka po tokenu)
+
+// Izrazi (hrHas) po kojima je sekcija relevantna; base = važnost kad pitanje ništa ne kaže
+const PROMPT_SECTIONS = {
+  kategorije: { title: 'KATEGORIJE', base: 3, katAware: true, topics: ['kategorija', 'sat', 'minimalna dob', 'uvjeti upisa', 'teorij*', 'praksa'] },
+  cjenik: { title: 'CJENIK', base: 3, katAware: true, topics: ['cijena', 'paket', 'rata', 'plac*'] },
+  hak: { title: 'HAK naknade', base: 2, katAware: true, topics: ['hak', 'naknad*', 'ispit'] },
+  uvjeti: { title: 'Uvjeti plaćanja', base: 2, topics: ['plac*', 'kartica', 'rata', 'uvjeti'] },
+  dodatne: { title: 'Dodatne usluge', base: 2, katAware: true, topics: ['dodatni sat', 'dodatn*', 'usluga'] },
+  instruktori: { title: 'Instruktori', base: 1, topics: ['instruktor', 'benzin*', 'dizel*'] },
+  vozni: { title: 'Vozni park', base: 1, katAware: true, topics: ['vozilo', 'vozni park', 'mjenjac*', 'automatik*'] },
+  lokacije: { title: 'Poligon', base: 1, topics: ['poligon', 'vjezba*', 'lokacija', 'gdje', 'adresa'] },
+  nastava: { title: 'Nastava i predavanja', base: 1, topics: ['nastava', 'predavanj*', 'termin*', 'teorij*'] }
+};
+
+function sectionRelevance(key, { q, kat }) {
+  const def = PROMPT_SECTIONS[key];
+  if (!def) return 0;
+  let score = def.base;
+  if (q && hrHas(q, ...def.topics)) score += 10;
+  if (kat && def.katAware) score += 5;
+  return score;
+}
+
+/* Sekcija skraćena na maxChars po cijelim redovima; '' ako uz zaglavlje ne stane nijedan red */
+function truncateSection(text, maxChars) {
+  const mark = '\n…(skraćeno)';
+  if (text.length <= maxChars) return text;
+  const cut = text.lastIndexOf('\n', maxChars - mark.length);
+  return cut > text.indexOf('\n') ? `${text.slice(0, cut)}${mark}` : '';
+}
+
+function promptBudgetFor(slug) {
+  const n = Number(slugConfig(slug).prompt?.budgetTokens ?? PROMPT_TOKEN_BUDGET);
+  return Number.isFinite(n) && n > 0 ? n : Infinity;
+}
+
+/* Vraća { prompt, template, unknownPlaceholders, tokens, budget, included, dropped }
+   opts: { question, kat, slug, budget, template } */
+function buildSystemPromptDetailed(school, data, facts, aiSections, schema = DEFAULT_FIELD_MAP, opts = {}) {
+  const persona = fv(school, 'school.persona', schema) || 'Smiren, stručan instruktor.';
+  const ton = fv(school, 'school.tone', schema) || 'prijateljski, jasan';
+  const stil = fv(school, 'school.style', schema) || 'kratki odlomci; konkretno';
+  const pravila = fv(school, 'school.rules', schema) || 'Odgovaraj isključivo prema INDIVIDUAL podacima. Ne nagađaj.';
+  const uvod = fv(school, 'school.greeting', schema) || 'Bok! 👋 Kako ti mogu pomoći oko upisa, cijena ili termina?';
+
+  const tel = fv(school, 'school.phone', schema);
+  const web = fv(school, 'school.web', schema);
+  const mail = fv(school, 'school.email', schema);
 
   const kategorije = (data.kategorije || []).map(k => {
-    const naziv = normalizeKat(k['Kategorija'] || k['Naziv']) || norm(k['Kategorija'] || k['Naziv']);
-    const teorija = norm(k['Broj sati teorija'] || k['Broj_sati_teorija']);
-    const praksa  = norm(k['Broj sati praksa']  || k['Broj_sati_praksa']);
+    const naziv = normalizeKat(fv(k, 'category.code', schema)) || fv(k, 'category.code', schema);
+    const teorija = fv(k, 'category.theoryHours', schema);
+    const praksa  = fv(k, 'category.practiceHours', schema);
     return `• ${naziv}: Teorija ${teorija}h | Praksa ${praksa}h`;
   }).filter(Boolean).join('\n');
 
   const cjenik = (data.cjenik || []).map(c => {
-    const naziv = norm(c['Varijanta'] || c['Naziv']);
-    const kat = normalizeKat(c['Kategorija']) || norm(c['Kategorija']);
-    const cijenaRaw = norm(c['Cijena']);
+    const naziv = fv(c, 'price.variant', schema);
+    const kat = normalizeKat(fv(c, 'price.category', schema)) || fv(c, 'price.category', schema);
+    const cijenaRaw = fv(c, 'price.amount', schema);
     const cijena = convertToEuro(cijenaRaw);
     const mjRata = calcMonthlyRate(cijenaRaw);
     return `• ${naziv} (${kat}) – ${cijena || '—'} (${mjRata})`;
   }).filter(Boolean).join('\n');
 
   const hak = (data.hak || []).map(n => {
-    const name = norm(n['Naziv naknade'] || n['Naziv'] || n['Vrsta predmeta']);
-    const iznos = convertToEuro(norm(n['Iznos']));
+    const name = fv(n, 'hak.name', schema);
+    const iznos = convertToEuro(fv(n, 'hak.amount', schema));
     return (name || iznos) ? `• ${name}: ${iznos}` : '';
   }).filter(Boolean).join('\n');
 
-  const uvjeti = uvjetiText(data.uvjeti);
+  const uvjeti = uvjetiText(data.uvjeti, schema);
 
   const dodatne = (data.dodatne || []).map(d => {
-    const name = norm(d['Naziv usluge'] || d['Naziv']);
-    const kat = normalizeKat(d['Kategorija']) || norm(d['Kategorija']);
-    const cijena = convertToEuro(norm(d['Iznos'] || d['Cijena']));
+    const name = fv(d, 'extra.name', schema);
+    const kat = normalizeKat(fv(d, 'extra.category', schema)) || fv(d, 'extra.category', schema);
+    const cijena = convertToEuro(fv(d, 'extra.amount', schema));
     return (name || kat || cijena) ? `• ${name}${kat ? ` (${kat})` : ''}${cijena ? ` – ${cijena}` : ''}` : '';
   }).filter(Boolean).join('\n');
 
   const instruktori = (data.instruktori || []).map(i => {
-    const ime = norm(i['Ime i prezime instruktora'] || i['Ime i prezime'] || i['Instruktor']);
-    const kat = norm(i['Kategorije']);
-    const vozilo = norm(i['Vozilo koje koristi']);
-    const lok = norm(i['LOKACIJA'] || i['Lokacija']);
+    const ime = fv(i, 'instructor.name', schema);
+    const kat = fv(i, 'instructor.categories', schema);
+    const vozilo = fv(i, 'instructor.vehicle', schema);
+    const lok = fv(i, 'instructor.location', schema);
     return (ime || kat || vozilo) ? `• ${ime}${lok ? ` (${lok})` : ''}${kat ? ' – ' + kat : ''}${vozilo ? ' | ' + vozilo : ''}` : '';
   }).filter(Boolean).join('\n');
 
-  const vozniPark = listVehicles(data.vozni || [], '', '');
-  const poligonRow = findBestLocation(data.lokacije || [], ['poligon', 'vježbali', 'vjezbali']);
-  const poligon = poligonRow ? formatLocationRow(poligonRow) : '';
+  const nastava = (data.nastava || []).map(n => {
+    const naziv = fv(n, 'lesson.title', schema);
+    const kat = fv(n, 'lesson.category', schema);
+    const termin = fv(n, 'lesson.schedule', schema);
+    const lok = fv(n, 'lesson.location', schema);
+    return (naziv || termin) ? `• ${naziv}${kat ? ` (${kat})` : ''}${termin ? ` – ${termin}` : ''}${lok ? ` | ${lok}` : ''}` : '';
+  }).filter(Boolean).join('\n');
+
+  const vozniPark = listVehicles(data.vozni || [], '', '', schema);
+  const poligonRow = findBestLocation(data.lokacije || [], ['poligon', 'vjezba*'], schema);
+  const poligon = poligonRow ? formatLocationRow(poligonRow, schema) : '';
+
+  const template = opts.template || DEFAULT_PROMPT_TEMPLATE;
+  const vars = {
+    persona, ton, stil, pravila,
+    pozdrav: uvod,
+    telefon: tel,
+    email: mail,
+    web,
+    radno_vrijeme: fv(school, 'school.hours', schema),
+    cinjenice: facts ? `\n=== ČINJENICE ZA ODGOVOR ===\n${facts}\n` : ''
+  };
+  // predložak bez {{sekcije}} dobiva sekcije na kraju
+  const SECTIONS_MARK = '\u0000SEKCIJE\u0000';
+  const tplText = /\{\{\s*sekcije\s*\}\}/i.test(template.text) ? template.text : `${template.text}\n\n{{sekcije}}`;
+  const rendered = renderPromptTemplate(tplText, { ...vars, sekcije: SECTIONS_MARK });
+
+  // redoslijed u promptu ostaje fiksan (AI okviri pa tablice); rangiranje odlučuje samo što ulazi
+  const aiList = Array.isArray(aiSections) ? aiSections : aiSections ? [{ key: 'ai', text: aiSections }] : [];
+  const dataSections = [
+    ['kategorije', kategorije], ['cjenik', cjenik], ['hak', hak], ['uvjeti', uvjeti],
+    ['dodatne', dodatne], ['instruktori', instruktori], ['vozni', vozniPark], ['lokacije', poligon], ['nastava', nastava]
+  ].map(([key, body]) => ({ id: key, key, text: `=== ${PROMPT_SECTIONS[key].title} ===\n${body || '(nema podataka)'}` }));
+  const sections = [
+    ...aiList.map(s => ({ id: `ai:${s.key}`, key: s.key, text: s.text })),
+    ...dataSections
+  ];
+
+  const ctx = { q: opts.question ? hrNormalize(opts.question) : '', kat: opts.kat || '' };
+  const budget = opts.budget ?? (opts.slug ? promptBudgetFor(opts.slug) : Infinity);
+  let used = estimateTokens(rendered.text.replace(SECTIONS_MARK, ''));
+
+  const ranked = sections
+    .map((s, i) => ({ ...s, i, tokens: estimateTokens(s.text), score: sectionRelevance(s.key, ctx) + (s.id.startsWith('ai:') ? 0.5 : 0) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i);
+
+  const keep = new Map(); // id -> tekst (najrelevantnija sekcija se skraćuje umjesto da ispadne)
+  const dropped = [];
+  for (const s of ranked) {
+    if (used + s.tokens <= budget) {
+      keep.set(s.id, s.text);
+      used += s.tokens;
+    } else if (s === ranked[0] && truncateSection(s.text, (budget - used) * 4)) {
+      const text = truncateSection(s.text, (budget - used) * 4);
+      s.truncated = true;
+      s.tokens = estimateTokens(text);
+      keep.set(s.id, text);
+      used += s.tokens;
+    } else {
+      dropped.push({ id: s.id, tokens: s.tokens, score: s.score });
+    }
+  }
 
-  return `
-Ti si AI asistent autoškole.
+  const body = sections.filter(s => keep.has(s.id)).map(s => keep.get(s.id)).join('\n\n');
+  return {
+    // funkcija: "$&" i slično iz Airtable teksta ne smije se tumačiti kao uzorak zamjene
+    prompt: rendered.text.replace(SECTIONS_MARK, () => body).replace(/\n{3,}/g, '\n\n').trim(),
+    template: { name: template.name, version: template.version, source: template.source },
+    unknownPlaceholders: rendered.unknown,
+    tokens: used,
+    budget: Number.isFinite(budget) ? budget : null,
+    included: ranked.filter(s => keep.has(s.id)).map(s => ({ id: s.id, tokens: s.tokens, score: s.score, ...(s.truncated ? { truncated: true } : {}) })),
+    dropped
+  };
+}
 
-**Politika odgovaranja (SAMO INDIVIDUAL BAZA):**
-1) Koristi isključivo INDIVIDUAL podatke (tablice + činjenice). Ne koristi vanjske izvore.
-2) Ako podatak ne postoji, reci iskreno da nemaš informaciju i ponudi kontakt. Ne pretpostavljaj i ne izmišljaj.
-3) Za cijene i sate: primarni izvor je CJENIK + KATEGORIJE; HAK naknade iz tablice PLAĆANJE HAK-u; dodatni sati iz DODATNE USLUGE.
-4) Poštuj niže AI okvire (AI_CONTEXT/INTENT_PATTERNS/OUTPUT_RULES/DISAMBIGUATION/FALLBACK) za svaku tablicu.
+function buildSystemPrompt(school, data, facts, aiSections, schema = DEFAULT_FIELD_MAP, opts = {}) {
+  return buildSystemPromptDetailed(school, data, facts, aiSections, schema, opts).prompt;
+}
+
+/* ===== OpenAI helper: hard timeout ===== */
+async function withTimeout(promise, ms = 20000) {
+  const timeout = delay(ms).then(() => { throw new Error('OPENAI_TIMEOUT'); });
+  return Promise.race([promise, timeout]);
+}
+
+/* ===== Činjenice -> LLM formulira odgovor (per slug: "facts": { "mode": "compose" }) =====
+   mode "raw" (default) vraća blok činjenica kako jest. U "compose" modu LLM dobiva činjenice
+   u system promptu i piše kratki odgovor; ako u odgovoru ima cijena/telefon kojeg nema u
+   činjenicama, vraćamo sirovi blok. */
+const FACTS_DEFAULTS = { mode: 'raw', temperature: 0.2, maxTokens: 400, timeoutMs: 15000 };
+
+function factsConfig(slug) {
+  return { ...FACTS_DEFAULTS, ...(slugConfig(slug).facts || {}) };
+}
+
+const MONEY_RX = /(\d[\d.]*(?:,\d+)?)\s*(?:€|eur(?:a|o|i)?\b|kn\b|kuna\b)|€\s*(\d[\d.]*(?:,\d+)?)/gi;
+const NUMBER_RX = /\d[\d.]*(?:,\d+)?/g;
+const PHONE_RX_G = /\+?\d[\d\s/-]{6,16}\d/g;
+
+/* "1.200,00" -> 1200, "66,36" -> 66.36, "1200" -> 1200 */
+function parseAmount(s) {
+  let v = norm(s).trim();
+  if (v.includes(',')) v = v.replace(/\./g, '').replace(',', '.');
+  else if (/\.\d{3}$/.test(v)) v = v.replace(/\./g, '');
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function extractMoneyAmounts(text) {
+  return [...norm(text).matchAll(MONEY_RX)].map(m => parseAmount(m[1] || m[2])).filter(n => n !== null);
+}
+
+/* telefon -> usporedivi ključ ("+385 21 123 456" i "021 123 456" -> "021123456") */
+function phoneKey(s) {
+  const d = norm(s).replace(/\D/g, '').replace(/^00/, '');
+  return d.startsWith('385') ? `0${d.slice(3)}` : d;
+}
+
+function extractPhones(text) {
+  return [...norm(text).matchAll(PHONE_RX_G)]
+    .map(m => ({ raw: m[0].trim(), key: phoneKey(m[0]) }))
+    .filter(p => p.key.length >= 8 && p.key.length <= 13);
+}
+
+/* Je li svaka cijena i svaki telefon iz odgovora prisutan u izvornom tekstu? */
+function groundingCheck(reply, sourceText) {
+  const allowedNums = [...norm(sourceText).matchAll(NUMBER_RX)].map(m => parseAmount(m[0])).filter(n => n !== null);
+  const allowedPhones = new Set(extractPhones(sourceText).map(p => p.key));
+
+  // iznosi u činjenicama su već zaokruženi (convertToEuro), pa "66,36 €" prolazi uz "66 €"
+  const unknownPrices = extractMoneyAmounts(reply)
+    .filter(n => !allowedNums.some(a => a === n || Math.round(a) === Math.round(n)));
+  const unknownPhones = extractPhones(reply)
+    .filter(p => !allowedPhones.has(p.key))
+    .map(p => p.raw);
+
+  return { ok: !unknownPrices.length && !unknownPhones.length, unknownPrices, unknownPhones };
+}
+
+/* Vraća { reply, usage, check, error } — reply je prazan ako odgovor ne prolazi provjeru */
+async function composeFactsReply({ facts, school, data, slug, schema, history, userMessage, cfg, template }) {
+  const systemPrompt = buildSystemPrompt(school, data, facts.text, extractAIPromptSectionList(data, slug), schema, { question: userMessage, slug, template });
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    {
+      role: 'system',
+      content: 'Odgovori kratko i prirodno, isključivo na temelju bloka "ČINJENICE ZA ODGOVOR". ' +
+        'Ne nabrajaj sve stavke ako pitanje to ne traži. Ne navodi iznose ni brojeve telefona kojih nema u činjenicama.'
+    },
+    ...history.map(h => ({ role: h.role, content: h.content })),
+    { role: 'user', content: userMessage }
+  ];
+
+  try {
+    const chat = await withTimeout(openai.chat.completions.create({
+      model: cfg.model || OPENAI_MODEL,
+      messages,
+      temperature: cfg.temperature,
+      max_tokens: cfg.maxTokens
+    }), cfg.timeoutMs);
+    const reply = chat.choices?.[0]?.message?.content?.trim() || '';
+    if (!reply) return { reply: '', usage: chat.usage || null, check: null, error: 'EMPTY_REPLY' };
+
+    // kontakt škole je u promptu pa ga model smije ponoviti
+    const check = groundingCheck(reply, `${facts.text}\n${fv(school, 'school.phone', schema)}`);
+    if (!check.ok) console.warn('⚠️ COMPOSE_CHECK_FAILED', JSON.stringify({ slug, handlers: facts.handlers, ...check }));
+    return { reply: check.ok ? reply : '', usage: chat.usage || null, check };
+  } catch (err) {
+    console.error('COMPOSE_CALL_ERROR', err?.message);
+    return { reply: '', usage: null, check: null, error: err?.message };
+  }
+}
+
+/* ===== Hallucination guard: iznosi, sati, telefoni i URL-ovi iz LLM odgovora vs. podaci škole =====
+   Per slug: "guard": { "actions": ["regenerate", "summary", "strip"] } — redom dok odgovor ne prođe;
+   "actions": [] isključuje guard. "summary" = buildCategorySummary za kategoriju iz razgovora. */
+const GUARD_DEFAULTS = { actions: ['regenerate', 'summary', 'strip'] };
+const GUARD_INCIDENTS_MAX = 200;
+const guardIncidents = []; // zadnji incidenti (najnoviji zadnji), za /api/admin/guard-incidents
+
+function guardConfig(slug) {
+  return { ...GUARD_DEFAULTS, ...(slugConfig(slug).guard || {}) };
+}
+
+const HOURS_RX = /(\d+(?:[.,]\d+)?)\s*(?:h\b|sat(?:a|i)?\b|školsk\w* sat\w*|skolsk\w* sat\w*)/gi;
+const URL_RX = /\b(?:https?:\/\/|www\.)[^\s<>()"']+/gi;
+
+function findHours(text) {
+  return [...norm(text).matchAll(HOURS_RX)].map(m => ({ raw: m[0], value: parseAmount(m[1]) })).filter(h => h.value !== null);
+}
+
+/* URL -> usporedivi ključ (bez protokola, www, završne interpunkcije i /) */
+function urlKey(u) {
+  return norm(u).toLowerCase().replace(/[.,;:!?]+$/, '').replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+}
+
+function findUrls(text) {
+  return [...norm(text).matchAll(URL_RX)].map(m => ({ raw: m[0].replace(/[.,;:!?]+$/, ''), key: urlKey(m[0]) }));
+}
+
+const groundingIndexCache = new WeakMap(); // data (iz cache-a) -> index
+
+/* Sve što odgovor smije spomenuti: brojevi/telefoni/URL-ovi iz svih tablica i reda škole,
+   plus izvedeni iznosi (€ iz kn, mjesečna rata) i zbroj sati teorija + praksa */
+function groundingIndexFor(data, school, schema) {
+  const cached = groundingIndexCache.get(data);
+  if (cached?.school === school) return cached.index;
+
+  const texts = [];
+  const numbers = new Set();
+  const amounts = new Set(); // iznosi: cjenik/HAK/dodatne (+ EUR i rata) i iznosi s valutom u tekstu
+  const addNum = n => { if (Number.isFinite(n)) numbers.add(n); };
+  const addAmount = n => { if (Number.isFinite(n)) amounts.add(n); };
+
+  for (const [key, rows] of Object.entries(data || {})) {
+    if (!Array.isArray(rows)) continue;
+    for (const r of rows) texts.push(...Object.entries(r).filter(([k]) => k !== '_id').map(([, v]) => norm(v)));
+    if (key === 'kategorije') {
+      for (const r of rows) {
+        const t = parseAmount(fv(r, 'category.theoryHours', schema));
+        const p = parseAmount(fv(r, 'category.practiceHours', schema));
+        if (t !== null && p !== null) addNum(t + p);
+      }
+    }
+  }
+  for (const [logical, rows] of [['price.amount', data?.cjenik], ['hak.amount', data?.hak], ['extra.amount', data?.dodatne]]) {
+    for (const r of rows || []) {
+      const raw = fv(r, logical, schema);
+      addAmount(parseAmount(raw));
+      addAmount(parseAmount(convertToEuro(raw).replace(/[^\d.,]/g, '')));
+      addAmount(parseAmount(calcMonthlyRate(raw).replace(/[^\d.,]/g, '')));
+    }
+  }
+  texts.push(...Object.values(school || {}).map(v => norm(v)));
+
+  const base = textGroundingIndex(texts.join('\n'));
+  const index = {
+    ...base,
+    numbers: new Set([...base.numbers, ...numbers]),
+    amounts: new Set([...base.amounts, ...amounts])
+  };
+  if (data) groundingIndexCache.set(data, { school, index });
+  return index;
+}
+
+const numberKnown = (numbers, n) => numbers.has(n) || [...numbers].some(a => Math.round(a) === Math.round(n));
+
+/* brojevi/iznosi/telefoni/URL-ovi iz slobodnog teksta (činjenice, vector kontekst).
+   amounts = samo brojevi uz valutu — godina, dob ili poštanski broj nisu potvrda za "2024 €" */
+function textGroundingIndex(text) {
+  return {
+    numbers: new Set([...norm(text).matchAll(NUMBER_RX)].map(m => parseAmount(m[0])).filter(n => n !== null)),
+    amounts: new Set([...norm(text).matchAll(MONEY_RX)].map(m => parseAmount(m[1] || m[2])).filter(n => n !== null)),
+    phones: new Set(extractPhones(text).map(p => p.key)),
+    urls: new Set(findUrls(text).map(u => u.key))
+  };
+}
+
+/* Vraća listu problema [{ type: money|hours|phone|url, raw, value }]; extraText = činjenice/vector kontekst */
+function verifyReplyAgainstData(reply, index, extraText = '') {
+  const extra = textGroundingIndex(extraText);
+  const numOk = n => numberKnown(index.numbers, n) || numberKnown(extra.numbers, n);
+  const amountOk = n => numberKnown(index.amounts, n) || numberKnown(extra.amounts, n);
+  const issues = [];
+
+  for (const m of norm(reply).matchAll(MONEY_RX)) {
+    const value = parseAmount(m[1] || m[2]);
+    if (value !== null && !amountOk(value)) issues.push({ type: 'money', raw: m[0].trim(), value });
+  }
+  for (const h of findHours(reply)) if (!numOk(h.value)) issues.push({ type: 'hours', raw: h.raw, value: h.value });
+  for (const p of extractPhones(reply)) {
+    if (!index.phones.has(p.key) && !extra.phones.has(p.key)) issues.push({ type: 'phone', raw: p.raw, value: p.key });
+  }
+  for (const u of findUrls(reply)) {
+    // dopuštamo i samu domenu poznatog URL-a ("instruktor.hr" uz "instruktor.hr/cjenik")
+    const known = k => index.urls.has(k) || extra.urls.has(k) || [...index.urls, ...extra.urls].some(x => x.split('/')[0] === k);
+    if (!known(u.key)) issues.push({ type: 'url', raw: u.raw, value: u.key });
+  }
+  return issues;
+}
+
+/* Neprovjerene vrijednosti zamijeni uputom na kontakt (telefon/web škole ako postoje) */
+function stripUnverified(reply, issues, school, schema) {
+  const tel = fv(school, 'school.phone', schema);
+  const web = fv(school, 'school.web', schema);
+  const replacement = {
+    money: '(točan iznos provjeri kod nas)',
+    hours: '(točan broj sati provjeri kod nas)',
+    phone: tel || '(kontakt autoškole)',
+    url: web || ''
+  };
+  let out = reply;
+  for (const i of issues) out = out.split(i.raw).join(replacement[i.type]);
+  return out.replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+function logGuardIncident(incident) {
+  guardIncidents.push({ at: new Date().toISOString(), ...incident });
+  if (guardIncidents.length > GUARD_INCIDENTS_MAX) guardIncidents.splice(0, guardIncidents.length - GUARD_INCIDENTS_MAX);
+  console.warn('⚠️ HALLUCINATION_GUARD', JSON.stringify(incident));
+}
+
+/* Provjeri LLM odgovor; na neslaganje redom pokušava akcije iz guardConfig(slug).actions.
+   regenerate(note) -> novi tekst (ili ''). Vraća { reply, changed, action, issues } */
+async function guardReply(reply, { data, school, schema, slug, kat, question, extraText = '', regenerate }) {
+  const cfg = guardConfig(slug);
+  if (!reply || !cfg.actions?.length) return { reply, changed: false, action: null, issues: [] };
+
+  const index = groundingIndexFor(data, school, schema);
+  const issues = verifyReplyAgainstData(reply, index, extraText);
+  if (!issues.length) return { reply, changed: false, action: null, issues };
+
+  let final = null;
+  let action = null;
+  for (const a of cfg.actions) {
+    if (a === 'regenerate' && regenerate) {
+      const note = `Tvoj prethodni odgovor sadrži podatke kojih nema u podacima autoškole: ${issues.map(i => i.raw).join(', ')}. ` +
+        'Napiši odgovor ponovno bez tih podataka; koristi samo iznose, sate i kontakte iz podataka ili reci da nemaš informaciju.';
+      const again = await regenerate(note).catch(err => {
+        console.error('GUARD_REGENERATE_ERROR', err?.message);
+        return '';
+      });
+      if (again && !verifyReplyAgainstData(again, index, extraText).length) { final = again; action = a; }
+    } else if (a === 'summary' && kat && issues.some(i => i.type === 'money' || i.type === 'hours')) {
+      const summary = buildCategorySummary(kat, data, schema);
+      if (summary) { final = summary; action = a; }
+    } else if (a === 'strip') {
+      final = stripUnverified(reply, issues, school, schema);
+      action = a;
+    }
+    if (final) break;
+  }
+
+  logGuardIncident({ slug, question, issues, action: action || 'none', reply: reply.slice(0, 500) });
+  return final ? { reply: final, changed: true, action, issues } : { reply, changed: false, action: null, issues };
+}
+
+/* ===== SSE: ?stream=1 ili Accept: text/event-stream =====
+   Eventi: message (cijeli odgovor odjednom), delta (dio teksta), error, done (metapodaci; uvijek zadnji).
+   Dok je guard uključen (guard.actions), LLM odgovor se ne šalje u deltama — jedan "message" tek nakon provjere.
+*/
+function wantsEventStream(req) {
+  return req.query.stream === '1' || String(req.headers.accept || '').includes('text/event-stream');
+}
+
+function sseStart(res) {
+  if (res.headersSent) return;
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // nginx/Render proxy: bez bufferiranja
+  res.flushHeaders();
+}
+
+function sseSend(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sseReplyOnce(res, reply, meta) {
+  sseStart(res);
+  sseSend(res, 'message', { reply });
+  sseSend(res, 'done', meta);
+  res.end();
+}
+
+/* Stream chat completiona u SSE; vraća { reply, usage, error } (reply = sve što je generirano).
+   forward: false -> tekst se samo skuplja (šalje ga pozivatelj nakon provjere) */
+async function streamChatToSSE(res, params, { timeoutMs = 20000, abortSignal, forward = true } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+  const onAbort = () => controller.abort();
+  abortSignal?.addEventListener('abort', onAbort);
+
+  let reply = '';
+  let usage = null;
+  try {
+    const stream = await openai.chat.completions.create(
+      { ...params, stream: true, stream_options: { include_usage: true } },
+      { signal: controller.signal }
+    );
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content || '';
+      if (text) {
+        reply += text;
+        if (forward) sseSend(res, 'delta', { text });
+      }
+      if (chunk.usage) usage = chunk.usage;
+    }
+    return { reply: reply.trim(), usage };
+  } catch (err) {
+    return { reply: reply.trim(), usage, error: timedOut ? 'OPENAI_TIMEOUT' : (err?.message || 'OPENAI_STREAM_ERROR') };
+  } finally {
+    clearTimeout(timer);
+    abortSignal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/* =========================================================
+   ✅ VECTOR STORE: FAQ dokument po retku + inkrementalni sync + search
+   ✅ Sadržaj je strogo: (slug + global)
+========================================================= */
+
+/* ===== Registar vector storeova po slugu (slug -> { id, hash, syncedAt, docs: manifest }) =====
+   Svaka škola ima svoj store — sync jednog sluga nikad ne dira sadržaj drugog.
+   Persistira se u VECTOR_STORE_REGISTRY_FILE; stari VECTOR_STORE_ID pripada DEFAULT_SLUG-u. */
+function loadVectorStoreRegistry(file) {
+  let stores = {};
+  try {
+    stores = JSON.parse(fs.readFileSync(file, 'utf8')).stores || {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('VS_REGISTRY_READ_WARN', e.message);
+  }
+  if (VECTOR_STORE_ID && stores[DEFAULT_SLUG]?.id !== VECTOR_STORE_ID) {
+    stores[DEFAULT_SLUG] = { id: VECTOR_STORE_ID, legacy: true };
+  }
+  return new Map(Object.entries(stores));
+}
+
+const vectorStores = loadVectorStoreRegistry(VECTOR_STORE_REGISTRY_FILE);
+const vectorStoreCreating = new Map(); // slug -> Promise<id> (da dva synca ne naprave dva storea)
+
+async function saveVectorStoreRegistry() {
+  const file = VECTOR_STORE_REGISTRY_FILE;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify({ stores: Object.fromEntries(vectorStores) }, null, 2), 'utf8');
+  await fs.promises.rename(tmp, file);
+}
+
+const vectorStoreIdFor = slug => vectorStores.get(normSlug(slug))?.id || null;
+
+async function ensureVectorStore(slug) {
+  const existing = vectorStoreIdFor(slug);
+  if (existing) return existing;
+  if (!vectorStoreCreating.has(slug)) {
+    vectorStoreCreating.set(slug, (async () => {
+      const store = await openai.vectorStores.create({ name: `ai-testigo-${slug}`, metadata: { slug } });
+      vectorStores.set(slug, { id: store.id, createdAt: new Date().toISOString() });
+      await saveVectorStoreRegistry();
+      console.log(`✅ VectorStore kreiran | slug=${slug} | id=${store.id}`);
+      return store.id;
+    })().finally(() => vectorStoreCreating.delete(slug)));
+  }
+  return vectorStoreCreating.get(slug);
+}
+
+const VECTOR_AUTO_CREATE = VECTOR_STORE_AUTO_CREATE !== '0';
+
+/* Slugovi koje boot/interval sync obilazi: registrirani + KNOWN_SLUGS (bez storea se kreira, osim uz auto-create '0') */
+function vectorSyncSlugs() {
+  const slugs = new Set(vectorStores.keys());
+  if (VECTOR_AUTO_CREATE) for (const s of KNOWN_SLUG_SET) slugs.add(s);
+  return [...slugs];
+}
+
+/* KNOWN_SLUGS koje sync preskače jer nemaju store, a auto-create je isključen */
+function vectorSyncMissingSlugs() {
+  return VECTOR_AUTO_CREATE ? [] : [...KNOWN_SLUG_SET].filter(s => !vectorStores.has(s));
+}
+
+/* =========================================================
+   ✅ ZNANJE ZA RETRIEVAL: FAQ + tablice (predložak po tablici) + školski dokumenti
+   ✅ Dokument = { key, kind, label, text, hash }; key je stabilan (record id / dokument + isječak)
+========================================================= */
+
+// {{grupa.polje}} iz schema mape ili {{Ime stupca}} direktno; "|eur" formatira iznos.
+// Redak predloška u kojem su svi placeholderi prazni se izostavlja.
+// Per slug: "knowledge": { "tables": [...], "templates": { "nastava": "..." }, "chunk": { "maxTokens", "overlapTokens" } }
+const KNOWLEDGE_TEMPLATES = {
+  school: [
+    'AUTOŠKOLA – kontakt i lokacije',
+    'Lokacije: {{school.locations}}',
+    'Adresa: {{school.address}}',
+    'Telefon: {{school.phone}}',
+    'Email: {{school.email}}',
+    'Web: {{school.web}}',
+    'Radno vrijeme: {{school.hours}}'
+  ].join('\n'),
+  kategorije: [
+    'KATEGORIJA {{category.code}}',
+    'Teorija: {{category.theoryHours}} h',
+    'Praksa: {{category.practiceHours}} h',
+    'Trajanje: {{category.duration}}',
+    'Minimalna dob: {{category.minAge}}',
+    'Uvjeti upisa: {{category.requirements}}'
+  ].join('\n'),
+  cjenik: 'CJENIK – {{price.variant}}\nKategorija: {{price.category}}\nCijena: {{price.amount|eur}}\nNapomena: {{price.note}}',
+  hak: 'HAK NAKNADA – {{hak.name}}\nKategorija: {{hak.category}}\nIznos: {{hak.amount|eur}}',
+  uvjeti: [
+    'UVJETI PLAĆANJA',
+    '{{payment.description}}',
+    'Vrste plaćanja: {{payment.types}}',
+    'Načini plaćanja: {{payment.methods}}',
+    'Rate: {{payment.installments}}',
+    'Avans: {{payment.deposit}}',
+    'Rokovi: {{payment.deadlines}}'
+  ].join('\n'),
+  dodatne: 'DODATNA USLUGA – {{extra.name}}\nKategorija: {{extra.category}}\nVrsta: {{extra.kind}}\nIznos: {{extra.amount|eur}}',
+  instruktori: 'INSTRUKTOR {{instructor.name}}\nKategorije: {{instructor.categories}}\nVozilo: {{instructor.vehicle}}\nLokacija: {{instructor.location}}\nNapomena: {{instructor.note}}',
+  vozni: [
+    'VOZILO {{vehicle.model}}',
+    'Kategorija: {{vehicle.category}}',
+    'Tip: {{vehicle.type}}',
+    'Godina: {{vehicle.year}}',
+    'Mjenjač: {{vehicle.gearbox}}',
+    'Lokacija: {{vehicle.location}}',
+    'Napomena: {{vehicle.note}}'
+  ].join('\n'),
+  lokacije: 'LOKACIJA {{location.name}}\nTip: {{location.type}}\nAdresa: {{location.address}}\nMjesto: {{location.city}}\nTelefon: {{location.phone}}\nKarta: {{location.url}}\nNapomena: {{location.note}}',
+  nastava: 'NASTAVA – {{lesson.title}}\nKategorija: {{lesson.category}}\nTermin: {{lesson.schedule}}\nLokacija: {{lesson.location}}\n{{lesson.description}}'
+};
+
+const KNOWLEDGE_DEFAULTS = {
+  tables: Object.keys(KNOWLEDGE_TEMPLATES), // upisi (osobni podaci) i faq (zaseban format) namjerno nisu tu
+  chunk: { maxTokens: 300, overlapTokens: 40 }
+};
+
+function knowledgeConfig(slug) {
+  const own = slugConfig(slug).knowledge || {};
+  return {
+    ...KNOWLEDGE_DEFAULTS,
+    ...own,
+    templates: { ...KNOWLEDGE_TEMPLATES, ...(own.templates || {}) },
+    chunk: { ...KNOWLEDGE_DEFAULTS.chunk, ...(own.chunk || {}) }
+  };
+}
+
+const TEMPLATE_VAR_RX = /\{\{\s*([^{}|]+?)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+const TEMPLATE_FILTERS = { eur: convertToEuro };
+
+/* null kad predložak za red nema nijednu vrijednost (npr. red samo s AI_* stupcima) */
+function renderRowTemplate(tpl, row, schema) {
+  let filled = 0;
+  const lines = norm(tpl).split('\n').map(line => {
+    let vars = 0;
+    let values = 0;
+    const out = line.replace(TEMPLATE_VAR_RX, (m, name, filter) => {
+      vars++;
+      let v = (Object.hasOwn(schema, name) ? fv(row, name, schema) : norm(row?.[name])).trim();
+      if (v && filter && TEMPLATE_FILTERS[filter]) v = TEMPLATE_FILTERS[filter](v);
+      if (v) values++;
+      return v;
+    });
+    filled += values;
+    return vars && !values ? null : out.trimEnd();
+  }).filter(l => l !== null);
+  return filled ? lines.join('\n').trim() : null;
+}
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+const knowledgeDoc = (key, kind, label, text) => ({ key, kind, label, text, hash: sha256(text) });
+
+/* Jedan dokument po FAQ retku (ključ = Airtable record id, kao i prije) */
+function faqDocs(faqRows, schema) {
+  return (faqRows || []).filter(r => r._id && isFaqActive(r, schema)).map(r => {
+    let text = fv(r, 'faq.vsDoc', schema);
+    if (!text) {
+      const pitanja = fv(r, 'faq.questions', schema);
+      const odgovor = fv(r, 'faq.answer', schema);
+      if (!pitanja && !odgovor) return null;
+
+      // ⬇️ ubacimo i slug u tekst (pomaže debug-u + kontekstu)
+      const rowSlug = norm(r['Slug'] || '').trim();
+      text = [
+        rowSlug ? `SLUG: ${rowSlug}` : '',
+        pitanja ? `PITANJA:\n${pitanja}` : '',
+        odgovor ? `ODGOVOR:\n${odgovor}` : ''
+      ].filter(Boolean).join('\n\n');
+    }
+    return knowledgeDoc(r._id, 'faq', `FAQ ${r._id}`, text.trim());
+  }).filter(Boolean);
+}
+
+/* Redovi tablica po predlošku + AI_CONTEXT (duži opisni tekst) kao zaseban dokument */
+function tableDocs(school, data, schema, cfg) {
+  const docs = [];
+  for (const table of cfg.tables) {
+    const tpl = cfg.templates[table];
+    if (!tpl) continue;
+    const rows = table === 'school' ? (school && Object.keys(school).length ? [school] : []) : data[table] || [];
+
+    const title = table === 'school' ? 'AUTOŠKOLA' : table.toUpperCase();
+
+    rows.forEach((row, i) => {
+      const id = row._id || `${i + 1}`; // red AUTOŠKOLE nema record id
+      const text = renderRowTemplate(tpl, row, schema);
+      if (text) docs.push(knowledgeDoc(`${table}:${id}`, 'table', table === 'school' ? title : `${title} ${id}`, text));
+
+      const ctx = norm(row.AI_CONTEXT).trim();
+      if (ctx) docs.push(knowledgeDoc(`ai:${table}:${id}`, 'ai_context', `${title} kontekst`, `KONTEKST (${table}):\n${ctx}`));
+    });
+  }
+  return docs;
+}
+
+/* Isječci uploadanih dokumenata (već izrezani pri uploadu) */
+function documentDocs(documents) {
+  return documents.flatMap(d => d.chunks.map(c =>
+    knowledgeDoc(`doc:${d.id}:${c.index}`, 'document', `DOKUMENT ${d.name} #${c.index + 1}`, c.text)
+  ));
+}
 
-Osobnost: ${persona}
-Ton: ${ton}
-Stil: ${stil}
-Pravila: ${pravila}
+function buildKnowledgeDocs(slug, { school, data, documents = [] }) {
+  const schema = schemaFor(slug);
+  const docs = [
+    ...faqDocs(data.faq, schema),
+    ...tableDocs(school, data, schema, knowledgeConfig(slug)),
+    ...documentDocs(documents)
+  ];
+
+  // hash cijelog skupa: brzi "ništa se nije promijenilo" bez diranja storea
+  const hash = sha256(docs.map(d => `${d.key}:${d.hash}`).sort().join('\n'));
+  return { docs, hash };
+}
 
-Kontakt: ${tel} | ${mail} | ${web} | Radno vrijeme: ${norm(school['Radno_vrijeme'] || school['Radno vrijeme'])}
+/* Sve znanje sluga za sync. Nepotpun Airtable dohvat prekida sync — inače bi se obrisali dokumenti tablica koje nisu stigle */
+async function collectKnowledge(slug, { fresh = false } = {}) {
+  const { school, data, report } = await loadSlugData(slug, { fresh });
+  if (report.school.status === 'unknown') throw new Error(`Unknown slug: ${slug}`);
+  if (report.hasErrors) throw new Error('Airtable dohvat nije potpun — sync preskočen');
+  return buildKnowledgeDocs(slug, { school, data, documents: await listSchoolDocuments(slug) });
+}
 
-${facts ? `\n=== ČINJENICE ZA ODGOVOR ===\n${facts}\n` : ''}
+/* ===== Školski dokumenti (pravilnik, cjenik PDF...) — DOCUMENTS_DIR/<slug>/<id>.json =====
+   Sprema se izvučeni tekst i isječci; original se ne čuva. */
+const DOCUMENT_LIMIT_BYTES = Math.max(1, Number(DOCUMENT_MAX_BYTES) || 10 * 1024 * 1024);
+const documentDir = slug => path.join(DOCUMENTS_DIR, encodeURIComponent(slug));
 
-${aiSections ? `\n${aiSections}\n` : ''}
+async function listSchoolDocuments(slug) {
+  const dir = documentDir(slug);
+  const out = [];
+  for (const f of await fs.promises.readdir(dir).catch(() => [])) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      out.push(JSON.parse(await fs.promises.readFile(path.join(dir, f), 'utf8')));
+    } catch (e) {
+      console.warn('DOCUMENT_READ_WARN', slug, f, e.message);
+    }
+  }
+  return out.sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt));
+}
 
-=== KATEGORIJE ===
-${kategorije || '(nema podataka)'}
+async function saveSchoolDocument(doc) {
+  const dir = documentDir(doc.slug);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${doc.id}.json`);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(doc), 'utf8');
+  await fs.promises.rename(tmp, file);
+}
 
-=== CJENIK ===
-${cjenik || '(nema podataka)'}
+async function deleteSchoolDocument(slug, id) {
+  try {
+    await fs.promises.unlink(path.join(documentDir(slug), `${path.basename(id)}.json`));
+    return true;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+}
 
-=== HAK naknade ===
-${hak || '(nema podataka)'}
+const escapeRx = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const knowledgeFileName = (slug, key, hash) => `kb__${slug}__${key.replace(/[^a-z0-9_-]/gi, '-')}_${hash.slice(0, 12)}.txt`;
+// naši uploadi za slug: sadašnji (kb__), FAQ po retku (faq_<slug>_rec...) i najstariji ("scope_<slug>_plus_global")
+const knowledgeFileRx = slug => new RegExp(`^(kb__${escapeRx(slug)}__|faq_${escapeRx(slug)}_rec|faq_scope_${escapeRx(slug)}_plus_global_)`);
 
-=== Uvjeti plaćanja ===
-${uvjeti || '(nema podataka)'}
+async function uploadKnowledgeDoc(vectorStoreId, slug, doc) {
+  const filePath = path.join(os.tmpdir(), knowledgeFileName(slug, doc.key, doc.hash));
+  fs.writeFileSync(filePath, doc.text, 'utf8');
+  try {
+    const uploaded = await openai.files.create({
+      file: fs.createReadStream(filePath),
+      purpose: 'assistants'
+    });
+    await openai.vectorStores.files.create(vectorStoreId, {
+      file_id: uploaded.id,
+      attributes: {
+        slug,
+        doc_key: doc.key,
+        kind: doc.kind,
+        label: doc.label.slice(0, 200),
+        ...(doc.kind === 'faq' ? { faq_id: doc.key } : {})
+      }
+    });
+    return uploaded.id;
+  } finally {
+    try { fs.unlinkSync(filePath); } catch {}
+  }
+}
 
-=== Dodatne usluge ===
-${dodatne || '(nema podataka)'}
+/* Makni datoteku iz storea i obriši files objekt (greške samo logiramo — GC ih pokupi kasnije) */
+async function removeStoreFile(vectorStoreId, fileId) {
+  try { await openai.vectorStores.files.del(vectorStoreId, fileId); } catch (e) {
+    if (e?.status !== 404) console.warn('VS_DETACH_WARN', fileId, e?.message);
+  }
+  try { await openai.files.del(fileId); } catch (e) {
+    if (e?.status !== 404) console.warn('VS_FILE_DELETE_WARN', fileId, e?.message);
+  }
+}
 
-=== Instruktori ===
-${instruktori || '(nema podataka)'}
+/* GC: datoteke u storeu koje manifest ne zna + naši uploadi za slug koji nisu ni u jednom storeu */
+async function collectStoreGarbage(vectorStoreId, slug, liveFileIds) {
+  let detached = 0;
+  let deleted = 0;
+  for await (const f of openai.vectorStores.files.list(vectorStoreId)) {
+    if (liveFileIds.has(f.id)) continue;
+    await removeStoreFile(vectorStoreId, f.id);
+    detached++;
+  }
+  const rx = knowledgeFileRx(slug);
+  for await (const f of openai.files.list({ purpose: 'assistants' })) {
+    if (liveFileIds.has(f.id) || !rx.test(f.filename || '')) continue;
+    try {
+      await openai.files.del(f.id);
+      deleted++;
+    } catch (e) {
+      console.warn('VS_GC_WARN', f.id, e?.message);
+    }
+  }
+  return { detached, deleted };
+}
 
-=== Vozni park ===
-${vozniPark || '(nema podataka)'}
+/* Inkrementalni sync: manifest (ključ dokumenta -> { hash, fileId }) živi u registru uz store.
+   Promijenjeni dokument: novi file se prvo priključi, tek onda se stari makne (search nikad nije prazan). */
+async function syncVectorStore({ docs, hash }, slug, force) {
 
-=== Poligon ===
-${poligon || '(nema podataka)'}
+  const entry = vectorStores.get(slug);
+  const now = Date.now();
+  const tooSoon = (now - (entry?.syncedAt || 0)) < 60_000; // 1 min zaštita
+  if (!force && entry && (hash === entry.hash || tooSoon)) {
+    return { ok: true, skipped: true, hash, vectorStoreId: entry.id };
+  }
 
-Otvarajući pozdrav: ${uvod}
+  const vectorStoreId = await ensureVectorStore(slug);
+  const attached = new Set();
+  for await (const f of openai.vectorStores.files.list(vectorStoreId)) attached.add(f.id);
+  // ručno maknute datoteke: red se tretira kao nov (stari files objekt pokupi GC)
+  const manifest = Object.fromEntries(Object.entries(vectorStores.get(slug).docs || {}).filter(([, d]) => attached.has(d.fileId)));
+  const stats = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+  const wanted = new Set(docs.map(d => d.key));
 
-Važno:
-- Kad korisnik pita "gdje ste / gdje poslujete / lokacije", koristi AUTOŠKOLE -> "Opis lokacije" i ne spominji ništa o Prvoj pomoći osim ako je izričito pita.
-`.trim();
+  try {
+    for (const doc of docs) {
+      const prev = manifest[doc.key];
+      if (prev?.hash === doc.hash) {
+        stats.unchanged++;
+        continue;
+      }
+      const fileId = await uploadKnowledgeDoc(vectorStoreId, slug, doc);
+      manifest[doc.key] = { hash: doc.hash, fileId };
+      if (prev) {
+        await removeStoreFile(vectorStoreId, prev.fileId);
+        stats.updated++;
+      } else {
+        stats.added++;
+      }
+    }
+    for (const [key, prev] of Object.entries(manifest)) {
+      if (wanted.has(key)) continue;
+      await removeStoreFile(vectorStoreId, prev.fileId);
+      delete manifest[key];
+      stats.removed++;
+    }
+  } finally {
+    // i djelomičan napredak ide u manifest — sljedeći sync nastavlja od tu
+    const complete = Object.keys(manifest).length === docs.length && docs.every(d => manifest[d.key]?.hash === d.hash);
+    vectorStores.set(slug, { ...vectorStores.get(slug), docs: manifest, ...(complete ? { hash, syncedAt: now } : {}) });
+    await saveVectorStoreRegistry();
+  }
+
+  const gc = await collectStoreGarbage(vectorStoreId, slug, new Set(Object.values(manifest).map(d => d.fileId)))
+    .catch(e => {
+      console.warn('VS_GC_WARN', slug, e?.message);
+      return { detached: 0, deleted: 0, error: e?.message };
+    });
+
+  console.log(`✅ VectorStore sync OK | scope="${slug}+global" | store=${vectorStoreId} | +${stats.added} ~${stats.updated} -${stats.removed} =${stats.unchanged} | gc=${gc.detached}/${gc.deleted}`);
+  return { ok: true, skipped: false, hash, vectorStoreId, docs: docs.length, ...stats, gc };
 }
 
-/* ===== OpenAI helper: hard timeout ===== */
-async function withTimeout(promise, ms = 20000) {
-  const timeout = delay(ms).then(() => { throw new Error('OPENAI_TIMEOUT'); });
-  return Promise.race([promise, timeout]);
+/* OpenAI backend: pretražuje isključivo store zadanog sluga; slug bez storea -> [] */
+async function openaiVectorSearch(slug, query, limit) {
+  const vectorStoreId = vectorStoreIdFor(slug);
+  if (!vectorStoreId) return [];
+
+  const result = await openai.vectorStores.search(vectorStoreId, {
+    query,
+    max_num_results: limit
+  });
+
+  return (result?.data || []).map(h => {
+    const id = h?.attributes?.doc_key || h?.attributes?.faq_id || h?.file_id || null;
+    return {
+      id,
+      kind: h?.attributes?.kind || 'faq',
+      label: h?.attributes?.label || `FAQ ${id}`,
+      score: h?.score ?? null,
+      text: (h?.content || [])
+        .map(c => c?.text || '')
+        .filter(Boolean)
+        .join('\n')
+        .trim()
+    };
+  }).filter(h => h.text);
 }
 
 /* =========================================================
-   ✅ VECTOR STORE: build FAQ TXT + sync + search
-   ✅ Sadržaj je strogo: (slug + global)
+   ✅ LOKALNI RETRIEVAL: BM25 nad istim dokumentima znanja (buildKnowledgeDocs)
+   ✅ Indeks po slugu u RETRIEVAL_INDEX_DIR — radi bez OpenAI-ja (offline, CI)
 ========================================================= */
 
-let lastFaqHash = '';
-let lastSyncAt = 0;
+const localIndexes = new Map(); // slug -> { hash, builtAt, docs, df, avgdl, N }
+const localIndexFile = slug => path.join(RETRIEVAL_INDEX_DIR, `${encodeURIComponent(slug)}.json`);
 
-function buildFaqTextFile(faqRows, slug) {
-  const active = (faqRows || []).filter(r => String(r['AKTIVNO'] ?? r['Aktivno'] ?? true) !== 'false');
-
-  const blocks = active.map((r, idx) => {
-    const vs = norm(r['VS_DOC'] || r['Vs_doc'] || r['VS doc'] || '');
-    if (vs) return `### FAQ ${idx + 1}\n${vs}`.trim();
+/* Na disku je tf kao objekt; df/avgdl računamo pri učitavanju */
+function hydrateLocalIndex(saved) {
+  const df = new Map();
+  const docs = saved.docs.map(d => {
+    const tf = new Map(Object.entries(d.tf));
+    for (const w of tf.keys()) df.set(w, (df.get(w) || 0) + 1);
+    return { ...d, tf };
+  });
+  const avgdl = docs.reduce((a, d) => a + d.len, 0) / (docs.length || 1);
+  return { ...saved, docs, df, avgdl, N: docs.length };
+}
 
-    const pitanja = norm(r['PITANJA'] || r['Pitanja'] || r['Pitanje'] || '');
-    const odgovor = norm(r['ODGOVORI'] || r['Odgovor'] || r['Odgovori'] || '');
-    if (!pitanja && !odgovor) return '';
+async function readLocalIndex(slug) {
+  if (localIndexes.has(slug)) return localIndexes.get(slug);
+  try {
+    const idx = hydrateLocalIndex(JSON.parse(await fs.promises.readFile(localIndexFile(slug), 'utf8')));
+    localIndexes.set(slug, idx);
+    return idx;
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('LOCAL_INDEX_READ_WARN', slug, e.message);
+    return null;
+  }
+}
 
-    // ⬇️ ubacimo i slug u tekst (pomaže debug-u + kontekstu)
-    const rowSlug = norm(r['Slug'] || '').trim();
-    return [
-      `### FAQ ${idx + 1}`,
-      rowSlug ? `SLUG: ${rowSlug}` : '',
-      pitanja ? `PITANJA:\n${pitanja}` : '',
-      odgovor ? `ODGOVOR:\n${odgovor}` : ''
-    ].filter(Boolean).join('\n\n');
-  }).filter(Boolean);
+// tf se sprema kao tokeni iz hrTokens — promjena tokenizera (npr. đ -> dj) mora ponovno izgraditi indeks
+const LOCAL_INDEX_FORMAT = 2;
+
+async function syncLocalIndex({ docs, hash }, slug, force) {
+  const prev = await readLocalIndex(slug);
+  if (!force && prev?.hash === hash && prev.format === LOCAL_INDEX_FORMAT) return { ok: true, skipped: true, hash, docs: docs.length };
+
+  const saved = {
+    slug,
+    format: LOCAL_INDEX_FORMAT,
+    hash,
+    builtAt: new Date().toISOString(),
+    docs: docs.map(d => {
+      const tokens = hrTokens(d.text);
+      const tf = {};
+      for (const w of tokens) tf[w] = (tf[w] || 0) + 1;
+      return { key: d.key, kind: d.kind, label: d.label, text: d.text, tf, len: tokens.length };
+    })
+  };
 
-  const header = `AI Testigo FAQ Export\nScope: slug="${slug}" + "global"\nVrijeme: ${new Date().toISOString()}\n`;
-  const text = header + '\n' + blocks.join('\n\n---\n\n');
+  const file = localIndexFile(slug);
+  await fs.promises.mkdir(RETRIEVAL_INDEX_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(saved), 'utf8');
+  await fs.promises.rename(tmp, file);
+  localIndexes.set(slug, hydrateLocalIndex(saved));
 
-  const hash = crypto.createHash('sha256').update(text).digest('hex');
-  return { text, hash };
+  console.log(`✅ Lokalni indeks OK | scope="${slug}+global" | docs=${docs.length} | hash=${hash}`);
+  return { ok: true, skipped: false, hash, docs: docs.length, file };
 }
 
-async function clearVectorStoreFiles(vectorStoreId) {
-  const list = await openai.vectorStores.files.list(vectorStoreId);
-  const items = list?.data || [];
-  for (const it of items) {
-    try { await openai.vectorStores.files.del(vectorStoreId, it.id); } catch {}
+async function localSearch(slug, query, limit) {
+  let idx = await readLocalIndex(slug);
+  if (!idx) {
+    // slug još nema indeks (npr. prvi upit nakon deploya) -> gradimo ga odmah
+    await syncRetrievalIndex(() => collectKnowledge(slug), slug, true, 'local');
+    idx = localIndexes.get(slug);
   }
-}
 
-async function syncFaqToVectorStoreIfNeeded(faqRows, slug, force = false) {
-  if (!VECTOR_STORE_ID) return { ok: false, reason: 'VECTOR_STORE_ID not set' };
-
-  const { text, hash } = buildFaqTextFile(faqRows, slug);
+  const qTerms = [...new Set(hrTokens(query))];
+  return idx.docs.map(d => {
+    let score = 0;
+    for (const t of qTerms) {
+      const f = d.tf.get(t);
+      if (f) score += bm25Idf(idx, t) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * d.len / idx.avgdl));
+    }
+    return { id: d.key, kind: d.kind || 'faq', label: d.label || `FAQ ${d.key}`, score: Number(score.toFixed(3)), text: d.text };
+  })
+    .filter(h => h.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
 
-  const now = Date.now();
-  const tooSoon = (now - lastSyncAt) < 60_000; // 1 min zaštita
-  if (!force && (hash === lastFaqHash || tooSoon)) {
-    return { ok: true, skipped: true, hash };
+/* Slugovi s lokalnim indeksom: postojeće datoteke + DEFAULT_SLUG + KNOWN_SLUGS */
+function localIndexSlugs() {
+  const slugs = new Set([normSlug(DEFAULT_SLUG), ...KNOWN_SLUG_SET]);
+  for (const f of fs.existsSync(RETRIEVAL_INDEX_DIR) ? fs.readdirSync(RETRIEVAL_INDEX_DIR) : []) {
+    if (f.endsWith('.json')) slugs.add(decodeURIComponent(f.slice(0, -5)));
   }
+  return [...slugs];
+}
 
-  const tmpDir = os.tmpdir();
-  const filePath = path.join(tmpDir, `faq_scope_${slug}_plus_global_${Date.now()}.txt`);
-  fs.writeFileSync(filePath, text, 'utf8');
+/* =========================================================
+   ✅ RETRIEVAL sučelje: backend po okruženju (RETRIEVAL_BACKEND = openai | local)
+   ✅ sync({ docs, hash }, slug, force) / search(slug, query, limit) -> [{ id, kind, label, score, text }]
+========================================================= */
 
-  const uploaded = await openai.files.create({
-    file: fs.createReadStream(filePath),
-    purpose: 'assistants'
-  });
+const RETRIEVAL_BACKENDS = {
+  openai: { label: 'VECTOR STORE', sync: syncVectorStore, search: openaiVectorSearch, slugs: vectorSyncSlugs, missing: vectorSyncMissingSlugs },
+  local: { label: 'LOKALNI INDEKS', sync: syncLocalIndex, search: localSearch, slugs: localIndexSlugs }
+};
 
-  await clearVectorStoreFiles(VECTOR_STORE_ID);
-  await openai.vectorStores.files.create(VECTOR_STORE_ID, { file_id: uploaded.id });
+if (!RETRIEVAL_BACKENDS[RETRIEVAL_BACKEND]) {
+  console.error(`❗ Nepoznat RETRIEVAL_BACKEND="${RETRIEVAL_BACKEND}" (dozvoljeno: ${Object.keys(RETRIEVAL_BACKENDS).join(', ')})`);
+  process.exit(1);
+}
 
-  lastFaqHash = hash;
-  lastSyncAt = now;
+const retrievalSyncQueue = new Map(); // `${backend}:${slug}` -> Promise zadnjeg synca u redu
+
+/* Syncovi istog sluga idu jedan za drugim (ne dijele rezultat) — upload dokumenta usred boot synca
+   mora završiti u indeksu, a svaki sync računa razliku od manifesta prethodnog.
+   collect() (npr. () => collectKnowledge(slug)) se zove tek kad sync dođe na red — znanje skupljeno
+   prije uploada bi iz indeksa obrisalo novi dokument */
+function syncRetrievalIndex(collect, slug, force = false, backend = RETRIEVAL_BACKEND) {
+  const key = `${backend}:${slug}`;
+  const prev = retrievalSyncQueue.get(key) || Promise.resolve();
+  const run = prev
+    .catch(() => {})
+    .then(() => collect())
+    .then(knowledge => RETRIEVAL_BACKENDS[backend].sync(knowledge, slug, force))
+    .then(out => ({ backend, ...out }));
+  retrievalSyncQueue.set(key, run);
+  run.catch(() => {}).finally(() => {
+    if (retrievalSyncQueue.get(key) === run) retrievalSyncQueue.delete(key);
+  });
+  return run;
+}
 
-  try { fs.unlinkSync(filePath); } catch {}
+/* ===== Retrieval pragovi po slugu ("retrieval" u SLUG_CONFIG_FILE) =====
+   minScore je po backendu jer skale nisu iste (openai 0–1, local BM25 bez gornje granice);
+   broj znači isti prag za oba. budgetTokens ograničava ukupni tekst isječaka u promptu. */
+const RETRIEVAL_DEFAULTS = { limit: 5, budgetTokens: 800, minScore: { openai: 0.3, local: 1.0 } };
 
-  console.log(`✅ VectorStore sync OK | scope="${slug}+global" | hash=${hash} | file_id=${uploaded.id}`);
-  return { ok: true, skipped: false, hash, file_id: uploaded.id };
+// deepMerge: "minScore": { "local": 2 } zadržava zadani openai prag
+function retrievalConfig(slug) {
+  return deepMerge(RETRIEVAL_DEFAULTS, slugConfig(slug).retrieval);
 }
 
-async function vectorStoreSearch(query) {
-  if (!VECTOR_STORE_ID) return '';
+const retrievalMinScore = (cfg, backend) => Number((typeof cfg.minScore === 'object' ? cfg.minScore?.[backend] : cfg.minScore) ?? 0);
+
+/* Vraća { text, hits, context, dropped, backend } — text je gotov blok za system poruku (isječci označeni izvorom),
+   context = [{ id, kind, score }] dokumenti (FAQ redovi, redovi tablica, isječci dokumenata) koji su stvarno poslani modelu */
+async function retrievalSearch(slug, query, { backend = RETRIEVAL_BACKEND, cfg = retrievalConfig(slug) } = {}) {
+  const empty = { text: '', hits: 0, context: [], dropped: [], backend };
   const q = norm(query).trim();
-  if (!q) return '';
+  if (!q) return empty;
 
+  let results;
   try {
-    const result = await openai.vectorStores.search(VECTOR_STORE_ID, {
-      query: q,
-      max_num_results: 5
-    });
-
-    const hits = result?.data || [];
-    if (!hits.length) return '';
-
-    const chunks = hits.map((h, i) => {
-      const content = (h?.content || [])
-        .map(c => c?.text || '')
-        .filter(Boolean)
-        .join('\n')
-        .trim();
-
-      return content ? `#${i + 1}\n${content}` : '';
-    }).filter(Boolean);
-
-    return chunks.length ? `=== VECTOR STORE REZULTATI (FAQ) ===\n${chunks.join('\n\n')}` : '';
+    results = await RETRIEVAL_BACKENDS[backend].search(slug, q, cfg.limit);
   } catch (e) {
-    console.warn('VECTOR_SEARCH_WARN', e?.message);
-    return '';
+    console.warn('RETRIEVAL_SEARCH_WARN', backend, slug, e?.message);
+    return empty;
+  }
+
+  const minScore = retrievalMinScore(cfg, backend);
+  const budget = Number(cfg.budgetTokens) || Infinity;
+  const chunks = [];
+  const context = [];
+  const dropped = [];
+  let used = 0;
+
+  for (const h of results) {
+    if (h.score !== null && h.score < minScore) {
+      dropped.push({ id: h.id, kind: h.kind, score: h.score, reason: 'score' });
+      continue;
+    }
+    const chunk = `[${h.label}]\n${h.text}`;
+    const tokens = estimateTokens(chunk);
+    if (used + tokens > budget) {
+      dropped.push({ id: h.id, kind: h.kind, score: h.score, reason: 'budget' });
+      continue;
+    }
+    used += tokens;
+    chunks.push(chunk);
+    context.push({ id: h.id, kind: h.kind, score: h.score });
   }
+
+  if (!chunks.length) return { ...empty, dropped };
+  return {
+    text: `=== ${RETRIEVAL_BACKENDS[backend].label} REZULTATI (FAQ, tablice, dokumenti) ===\nSvaki isječak je označen izvorom (FAQ redak, tablica ili dokument). Koristi samo isječke koji odgovaraju pitanju.\n\n${chunks.join('\n\n')}`,
+    hits: chunks.length,
+    tokens: used,
+    context,
+    dropped,
+    backend
+  };
 }
 
 /* ===== API ===== */
 app.all('/api/ask', async (req, res) => {
   res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  const startedAt = Date.now();
+  const stream = wantsEventStream(req);
+
+  // ✅ Strukturirani metapodaci: koja faza je odgovorila i zašto
+  const meta = {
+    source: null, // enrol | faq_strict | facts | facts_composed | facts+llm | llm
+    promptVersion,
+    faq: null, // { id, score, coverage, matched, engine }
+    factsHandler: null,
+    factsHandlers: [],
+    vector: { used: false, hits: 0, context: [] },
+    model: null,
+    usage: null,
+    timings: {}
+  };
+  const since = t0 => Date.now() - t0;
+  let logCtx = null; // { slug, sessionId, question, answer } kad je sesija otvorena
+  const finalMeta = source => {
+    meta.source = source;
+    meta.timings.totalMs = since(startedAt);
+    meta.fallback = !!(meta.fallback || meta.error || meta.guard?.action || meta.compose?.ok === false);
+    // stream koji pukne nakon 'done' zove finalMeta još jednom — zapis se samo ažurira
+    if (logCtx && meta.replyId) {
+      updateReply(meta.replyId, { source, latencyMs: meta.timings.totalMs, fallback: meta.fallback });
+    } else if (logCtx) {
+      meta.replyId = recordReply({
+        ...logCtx,
+        source,
+        faqId: meta.faq?.id || null,
+        contextFaqIds: (meta.vector.context || []).filter(c => c.kind === 'faq').map(c => c.id),
+        factsHandlers: meta.factsHandlers,
+        experiment: meta.experiment?.id || null,
+        variant: meta.experiment?.variant || null,
+        model: meta.model,
+        promptVersion: meta.promptVersion,
+        latencyMs: meta.timings.totalMs,
+        fallback: meta.fallback,
+        tokens: meta.usage?.total_tokens || 0
+      });
+      if (meta.experiment) console.log(`🧪 ${meta.experiment.id}/${meta.experiment.variant} | ${source} | ${meta.timings.totalMs}ms${meta.fallback ? ' | fallback' : ''}`);
+    }
+    return meta;
+  };
+
+  const noVersion = ['1', 'true'].includes(String(req.query.noVersion ?? req.body?.noVersion ?? ''));
+  const withVersion = text => (noVersion ? text : `${text}\n\n(v ${meta.promptVersion})`);
+
   try {
     const userMessage = (req.method === 'GET' ? req.query.q : req.body?.q || req.body?.message) || '';
-    const history = (req.method === 'GET' ? [] : (req.body?.history || [])).slice(-12);
     if (!userMessage) return res.status(400).json({ ok: false, error: 'Missing message (q)' });
 
     const slug = normSlug(req.query.slug || req.headers['x-school-slug'] || DEFAULT_SLUG);
-    const school = await getSchoolRow(slug);
+    if (!isKnownSlug(slug)) return res.status(404).json(unknownSlugBody(slug));
+
+    let t0 = Date.now();
+    const { school, data, report } = await loadSlugData(slug);
+    meta.timings.loadMs = since(t0);
+    if (report.school.status === 'unknown') return res.status(404).json(unknownSlugBody(slug));
+
+    // ✅ Povijest razgovora je na serveru; klijent šalje samo sessionId
+    const session = await openSession(
+      req.body?.sessionId || req.query.sessionId || req.headers['x-session-id'],
+      slug,
+      req.method === 'GET' ? [] : req.body?.history
+    );
+    const history = session.history;
+
+    logCtx = { slug, sessionId: session.id, question: userMessage, answer: '' };
+
+    // ✅ A/B: varijanta sesije može zadati predložak, model, temperature i max_tokens
+    const variant = sessionVariant(session, slug);
+    if (variant) meta.experiment = { id: variant.experiment, variant: variant.id };
+    const llmModel = variant?.model || OPENAI_MODEL;
+
+    // ✅ Prompt predložak: verzija se bilježi u sesiji i ostaje ista do kraja razgovora
+    const template = await resolvePromptTemplate(slug, session.state.prompt || (variant?.template ? { name: variant.template, version: variant.version } : null));
+    session.state.prompt = { name: template.name, version: template.version };
+    meta.promptVersion = template.version;
+    meta.promptTemplate = template.name;
+
+    const schema = schemaFor(slug);
+    const vocab = locationVocabulary(data, schema);
+    const prevState = session.state.dialogue || stateFromHistory(history, vocab);
+    const dialogue = trackDialogueState(prevState, userMessage, vocab);
+    session.state.dialogue = dialogue;
+    meta.dialogue = dialogue;
+
+    // odgovor ide u povijest sesije i u log odgovora (za feedback), neovisno o redoslijedu s finalMeta
+    const saveAnswer = async (text, question = userMessage) => {
+      logCtx.answer = text.slice(0, FEEDBACK_TEXT_MAX);
+      if (meta.replyId) updateReply(meta.replyId, { answer: logCtx.answer });
+      await saveTurn(session, question, text);
+    };
+    const respond = async (replyForHistory, body, question) => {
+      await saveAnswer(replyForHistory, question);
+      return res.json({ ...body, sessionId: session.id });
+    };
+    if (stream) {
+      sseStart(res);
+      sseSend(res, 'session', { sessionId: session.id });
+    }
+
     const safeSchool = (school && Object.keys(school).length) ? school : {
       'AI_PERSONA': 'Smiren, stručan instruktor.',
       'AI_TON': 'prijateljski, jasan',
@@ -829,82 +3554,299 @@ app.all('/api/ask', async (req, res) => {
       'Telefon': '', 'Email': '', 'Web': '', 'Radno_vrijeme': ''
     };
 
-    const data = {};
-    for (const [key, variants] of Object.entries(TABLES)) {
-      if (key === 'faq') data[key] = await getFaqBySlugOrGlobal(slug); // ✅ (slug + global)
-      else data[key] = await getBySlugMulti(variants, slug);
+    // ✅ (0) Upis u tijeku ili namjera upisa
+    const enrol = await handleEnrolment(session, userMessage, { data, school: safeSchool, slug, schema, vocab });
+    if (enrol) {
+      meta.enrol = { step: enrol.step, ...(enrol.leadId ? { leadId: enrol.leadId } : {}) };
+      // ⚠️ ime/kontakt ne spremamo (sesija, REPLY_LOG_FILE) dok korisnik ne da privolu
+      const consented = ENROL_CONSENTED_STEPS.has(enrol.step);
+      const question = consented ? userMessage : ENROL_REDACTED;
+      const answer = consented ? enrol.text : ENROL_REDACTED;
+      logCtx.question = question;
+      if (stream) {
+        await saveAnswer(answer, question);
+        return sseReplyOnce(res, enrol.text, finalMeta('enrol'));
+      }
+      return respond(answer, { ok: true, reply: enrol.text, meta: finalMeta('enrol') }, question);
     }
 
-    // ✅ (A) FAQ strict — prvo
+    // ✅ (A) FAQ strict
     if (!isCategoryOrPriceQuery(userMessage)) {
-      const faqAnswer = answerFromFAQ_STRICT(userMessage, data.faq);
-      if (faqAnswer) return res.json({ ok: true, reply: faqAnswer });
+      t0 = Date.now();
+      const hit = matchFAQ_STRICT(userMessage, data.faq, schema, faqMatchConfig(slug));
+      meta.timings.faqMs = since(t0);
+      if (hit) {
+        meta.faq = { id: hit.id, score: hit.score, coverage: hit.coverage, matched: hit.matched, engine: hit.engine };
+        if (stream) {
+          await saveAnswer(hit.answer);
+          return sseReplyOnce(res, hit.answer, finalMeta('faq_strict'));
+        }
+        return respond(hit.answer, { ok: true, reply: hit.answer, meta: finalMeta('faq_strict') });
+      }
     }
 
     // ✅ (B) Heuristike
-    const facts = extractFacts(userMessage, data, safeSchool, slug);
+    t0 = Date.now();
+    const facts = extractFactsDetailed(userMessage, data, safeSchool, slug, dialogue);
+    meta.timings.factsMs = since(t0);
+    if (facts?.unanswered.length) {
+      // dijelovi bez namjere: prvo FAQ, tek ostatak ide LLM-u
+      const faqCfg = faqMatchConfig(slug);
+      facts.unanswered = facts.unanswered.filter(question => {
+        const hit = matchFAQ_STRICT(question, data.faq, schema, faqCfg);
+        if (hit) facts.parts.push({ question, handler: 'faq', text: hit.answer, faqId: hit.id });
+        return !hit;
+      });
+      facts.handlers = facts.parts.map(p => p.handler);
+      facts.text = facts.parts.map(p => p.text).join('\n\n');
+    }
     if (facts) {
-      return res.json({ ok: true, reply: `${facts}\n\n(v ${promptVersion})` });
+      meta.factsHandler = facts.handler;
+      meta.factsHandlers = facts.handlers;
+    }
+    if (facts && !facts.unanswered.length) {
+      const factsCfg = {
+        ...factsConfig(slug),
+        model: llmModel,
+        ...(variant?.temperature !== undefined ? { temperature: variant.temperature } : {}),
+        ...(variant?.maxTokens !== undefined ? { maxTokens: variant.maxTokens } : {})
+      };
+      if (factsCfg.mode === 'compose') {
+        t0 = Date.now();
+        const composed = await composeFactsReply({ facts, school: safeSchool, data, slug, schema, history, userMessage, cfg: factsCfg, template });
+        meta.timings.composeMs = since(t0);
+        meta.compose = { ok: !!composed.reply, check: composed.check, ...(composed.error ? { error: composed.error } : {}) };
+        meta.usage = composed.usage;
+        if (composed.reply) {
+          meta.model = llmModel;
+          if (stream) {
+            await saveAnswer(composed.reply);
+            return sseReplyOnce(res, composed.reply, finalMeta('facts_composed'));
+          }
+          return respond(composed.reply, { ok: true, reply: withVersion(composed.reply), meta: finalMeta('facts_composed') });
+        }
+        // provjera nije prošla / greška -> sirovi blok činjenica
+      }
+      if (stream) {
+        await saveAnswer(facts.text);
+        return sseReplyOnce(res, facts.text, finalMeta('facts'));
+      }
+      return respond(facts.text, { ok: true, reply: withVersion(facts.text), meta: finalMeta('facts') });
     }
 
     // ✅ (C) AI + Vector Store fallback kontekst
-    const aiSections = extractAIPromptSections(data, slug);
-    const systemPrompt = buildSystemPrompt(safeSchool, data, '', aiSections);
-
-    const vs = await vectorStoreSearch(userMessage);
+    // Djelomično odgovoreno (više pitanja u poruci): LLM dobiva samo ostatak, činjenični dio ide ispred
+    const partial = facts?.unanswered.length ? facts : null;
+    const factsPrefix = partial ? `${partial.text}\n\n` : '';
+    if (partial) meta.unanswered = partial.unanswered;
+
+    const aiSections = extractAIPromptSectionList(data, slug);
+    const built = buildSystemPromptDetailed(safeSchool, data, partial?.text || '', aiSections, schema, {
+      question: `${userMessage} ${TOPIC_KEYWORD[dialogue.topic] || ''}`,
+      kat: dialogue.kat,
+      slug,
+      template
+    });
+    const systemPrompt = built.prompt;
+    meta.prompt = { tokens: built.tokens, budget: built.budget, included: built.included.map(s => s.id), dropped: built.dropped.map(s => s.id) };
+    console.log(`🧮 PROMPT | slug=${slug} | ~${built.tokens}/${built.budget ?? '∞'} tok | +${meta.prompt.included.join(',') || '-'} | -${meta.prompt.dropped.join(',') || '-'}`);
+    const partialNote = partial
+      ? `Na dio pitanja već je odgovoreno iznad (${partial.handlers.join(', ')}). Ne ponavljaj to — odgovori SAMO na: ${partial.unanswered.map(u => `"${u}"`).join('; ')}.`
+      : '';
+
+    t0 = Date.now();
+    const vs = await retrievalSearch(slug, partial ? partial.unanswered.join(' ') : userMessage);
+    meta.timings.vectorMs = since(t0);
+    meta.vector = { used: !!vs.text, hits: vs.hits, backend: vs.backend, context: vs.context };
+    if (vs.dropped.length) meta.vector.dropped = vs.dropped;
+
+    const carried = [
+      !dialogue.mentioned.kat && dialogue.kat ? `kategorija ${dialogue.kat}` : '',
+      !dialogue.mentioned.location && dialogue.location ? `lokacija ${dialogue.location}` : '',
+      dialogue.followUp && dialogue.topic ? `tema ${dialogue.topic}` : ''
+    ].filter(Boolean);
+    const convoNote = carried.length
+      ? `Kontekst razgovora (iz prethodnih poruka): ${carried.join(', ')}. Ako pitanje to ne mijenja, odgovaraj za taj kontekst.`
+      : '';
 
     const messages = [
       { role: 'system', content: systemPrompt },
-      ...(vs ? [{ role: 'system', content: vs }] : []),
+      ...(vs.text ? [{ role: 'system', content: vs.text }] : []),
+      ...(convoNote ? [{ role: 'system', content: convoNote }] : []),
+      ...(partialNote ? [{ role: 'system', content: partialNote }] : []),
       ...history.map(h => ({ role: h.role, content: h.content })),
       { role: 'user', content: userMessage }
     ];
 
+    meta.model = llmModel;
+    const chatParams = {
+      model: llmModel,
+      messages,
+      temperature: variant?.temperature ?? 0.2,
+      max_tokens: variant?.maxTokens ?? 700
+    };
+
+    // ✅ Guard: iznosi/sati/kontakti iz odgovora moraju postojati u podacima (ili u danom kontekstu)
+    const guard = async text => {
+      const regenerate = async note => {
+        const chat = await withTimeout(openai.chat.completions.create({
+          ...chatParams,
+          messages: [...messages, { role: 'assistant', content: text }, { role: 'system', content: note }]
+        }), 20000);
+        return chat.choices?.[0]?.message?.content?.trim() || '';
+      };
+      t0 = Date.now();
+      const out = await guardReply(text, {
+        data, school: safeSchool, schema, slug, kat: dialogue.kat, question: userMessage,
+        extraText: [partial?.text, vs.text].filter(Boolean).join('\n'),
+        regenerate
+      });
+      meta.timings.guardMs = since(t0);
+      if (out.issues.length) meta.guard = { issues: out.issues.map(({ type, raw }) => ({ type, raw })), action: out.action };
+      return out;
+    };
+
+    if (stream) {
+      // klijent zatvorio vezu -> prekidamo generiranje
+      const clientGone = new AbortController();
+      res.on('close', () => { if (!res.writableEnded) clientGone.abort(); });
+
+      // ⚠️ s uključenim guardom klijent ne smije vidjeti neprovjerene iznose/kontakte — odgovor se bufferira
+      const buffered = !!guardConfig(slug).actions?.length;
+      if (factsPrefix && !buffered) sseSend(res, 'delta', { text: factsPrefix });
+      t0 = Date.now();
+      const out = await streamChatToSSE(res, chatParams, { timeoutMs: 20000, abortSignal: clientGone.signal, forward: !buffered });
+      meta.timings.llmMs = since(t0);
+      meta.usage = out.usage;
+      // prekinut bufferirani odgovor se ne šalje — guard ga nije vidio cijelog
+      const usable = out.reply && out.reply !== '...' && !(buffered && out.error);
+
+      if (out.error) {
+        console.error('OPENAI_CALL_ERROR', out.error);
+        meta.error = out.error;
+        if (usable) sseSend(res, 'error', { error: out.error });
+        else sseSend(res, 'message', { reply: buffered && partial ? partial.text : 'Trenutno ne mogu dohvatiti odgovor. Pokušaj ponovno ili pitaj konkretnije.' });
+      } else if (!usable) {
+        meta.fallback = true;
+        sseSend(res, 'message', { reply: buffered && partial ? partial.text : 'Nažalost, nisam uspio generirati odgovor. Pokušaj ponovno konkretnije.' });
+      }
+      if (usable) {
+        const checked = buffered ? await guard(out.reply) : { reply: out.reply };
+        if (buffered) sseSend(res, 'message', { reply: factsPrefix + checked.reply });
+        await saveAnswer(factsPrefix + checked.reply);
+      } else if (factsPrefix) {
+        await saveAnswer(partial.text);
+      }
+
+      sseSend(res, 'done', finalMeta(partial ? 'facts+llm' : 'llm'));
+      return res.end();
+    }
+
     let reply;
+    t0 = Date.now();
     try {
-      const chat = await withTimeout(
-        openai.chat.completions.create({
-          model: OPENAI_MODEL,
-          messages,
-          temperature: 0.2,
-          max_tokens: 700
-        }),
-        20000
-      );
+      const chat = await withTimeout(openai.chat.completions.create(chatParams), 20000);
       reply = chat.choices?.[0]?.message?.content?.trim();
+      meta.usage = chat.usage || null;
     } catch (err) {
       console.error('OPENAI_CALL_ERROR', err?.message);
+      meta.error = err?.message;
+      meta.timings.llmMs = since(t0);
+      if (partial) return respond(partial.text, { ok: true, reply: withVersion(partial.text), meta: finalMeta('facts') });
       return res.json({
         ok: true,
-        reply: `Trenutno ne mogu dohvatiti odgovor. Pokušaj ponovno ili pitaj konkretnije.\n\n(v ${promptVersion})`
+        reply: withVersion('Trenutno ne mogu dohvatiti odgovor. Pokušaj ponovno ili pitaj konkretnije.'),
+        meta: finalMeta('llm'),
+        sessionId: session.id
       });
     }
+    meta.timings.llmMs = since(t0);
 
     if (!reply || reply === '...') {
-      return res.json({ ok: true, reply: `Nažalost, nisam uspio generirati odgovor. Pokušaj ponovno konkretnije.\n\n(v ${promptVersion})` });
+      meta.fallback = true;
+      if (partial) return respond(partial.text, { ok: true, reply: withVersion(partial.text), meta: finalMeta('facts') });
+      return res.json({
+        ok: true,
+        reply: withVersion('Nažalost, nisam uspio generirati odgovor. Pokušaj ponovno konkretnije.'),
+        meta: finalMeta('llm'),
+        sessionId: session.id
+      });
     }
 
-    res.json({ ok: true, reply: `${reply}\n\n(v ${promptVersion})` });
+    reply = (await guard(reply)).reply;
+    return respond(factsPrefix + reply, { ok: true, reply: withVersion(factsPrefix + reply), meta: finalMeta(partial ? 'facts+llm' : 'llm') });
   } catch (e) {
     console.error('API_ERROR', e.message);
+    if (res.headersSent) {
+      sseSend(res, 'error', { error: e.message });
+      sseSend(res, 'done', finalMeta(meta.source || 'error'));
+      return res.end();
+    }
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-/* ===== Admin: ručni sync FAQ -> Vector Store (scope = slug + global) ===== */
+/* ===== Feedback: POST { replyId, rating (up/down, 1/-1), comment?, correctAnswer? } ===== */
+app.post('/api/feedback', async (req, res) => {
+  try {
+    const replyId = norm(req.body?.replyId).trim();
+    const rating = parseRating(req.body?.rating);
+    if (!replyId) return res.status(400).json({ ok: false, error: 'Missing replyId' });
+    if (rating === null) return res.status(400).json({ ok: false, error: 'Invalid rating (use up/down or 1/-1)' });
+
+    const reply = replyLog.get(replyId);
+    if (!reply) return res.status(404).json({ ok: false, error: 'Unknown replyId', code: 'UNKNOWN_REPLY' });
+
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      replyId,
+      rating,
+      comment: norm(req.body?.comment).trim().slice(0, FEEDBACK_TEXT_MAX),
+      correctAnswer: norm(req.body?.correctAnswer).trim().slice(0, FEEDBACK_TEXT_MAX),
+      slug: reply.slug,
+      sessionId: reply.sessionId,
+      question: reply.question,
+      answer: reply.answer,
+      source: reply.source,
+      faqId: reply.faqId,
+      contextFaqIds: reply.contextFaqIds,
+      factsHandlers: reply.factsHandlers,
+      experiment: reply.experiment,
+      variant: reply.variant,
+      promptVersion: reply.promptVersion
+    };
+    await appendFeedback(entry);
+    updateReply(replyId, { feedback: { rating, at: entry.at } });
+
+    if (rating < 0) console.log(`👎 FEEDBACK | slug=${entry.slug} | source=${entry.source}${entry.faqId ? ` | faq=${entry.faqId}` : ''} | q="${entry.question.slice(0, 80)}"`);
+    res.json({ ok: true, feedbackId: entry.id });
+  } catch (e) {
+    console.error('FEEDBACK_ERROR', e?.message);
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ===== Admin helper: x-sync-token provjera ===== */
+function requireAdminToken(req, res) {
+  const token = norm(req.headers['x-sync-token'] || req.query.token || req.body?.token);
+  if (VECTOR_SYNC_SECRET && token !== VECTOR_SYNC_SECRET) {
+    res.status(401).json({ ok: false, error: 'Unauthorized' });
+    return false;
+  }
+  return true;
+}
+
+/* ===== Admin: ručni sync znanja (FAQ + tablice + dokumenti) -> retrieval indeks aktivnog backenda ===== */
 app.post('/api/admin/sync-faq', async (req, res) => {
   try {
-    const token = norm(req.headers['x-sync-token'] || req.query.token || req.body?.token);
-    if (VECTOR_SYNC_SECRET && token !== VECTOR_SYNC_SECRET) {
-      return res.status(401).json({ ok: false, error: 'Unauthorized' });
-    }
+    if (!requireAdminToken(req, res)) return;
 
     const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+    if (!isKnownSlug(slug)) return res.status(404).json(unknownSlugBody(slug));
 
-    // ✅ dohvat samo (slug + global)
-    const faqRows = await getFaqBySlugOrGlobal(slug);
-
-    const out = await syncFaqToVectorStoreIfNeeded(faqRows, slug, true);
+    // ✅ svježi podaci sluga (FAQ: slug + global) -> store/indeks tog sluga (kreira se ako ne postoji)
+    const out = await syncRetrievalIndex(() => collectKnowledge(slug, { fresh: true }), slug, true);
     res.json({ ok: true, scope: `${slug}+global`, ...out });
   } catch (e) {
     console.error('SYNC_FAQ_ERROR', e?.message);
@@ -912,40 +3854,417 @@ app.post('/api/admin/sync-faq', async (req, res) => {
   }
 });
 
-/* ✅ Admin: test što vector store vraća (za provjeru) */
+/* ✅ Admin: test što retrieval vraća (za provjeru) — aktivni backend ili ?backend=openai|local */
 app.get('/api/admin/vs-test', async (req, res) => {
   try {
-    const token = norm(req.headers['x-sync-token'] || req.query.token || req.body?.token);
-    if (VECTOR_SYNC_SECRET && token !== VECTOR_SYNC_SECRET) {
-      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    if (!requireAdminToken(req, res)) return;
+    const q = norm(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ ok: false, error: 'Missing q' });
+
+    const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+    if (!isKnownSlug(slug)) return res.status(404).json(unknownSlugBody(slug));
+    const backend = norm(req.query.backend || RETRIEVAL_BACKEND);
+    if (!RETRIEVAL_BACKENDS[backend]) return res.status(400).json({ ok: false, error: `Unknown backend: ${backend}` });
+
+    const cfg = retrievalConfig(slug);
+    const vs = await retrievalSearch(slug, q, { backend, cfg });
+    res.json({
+      ok: true,
+      slug,
+      backend,
+      ...(backend === 'openai' ? { vectorStoreId: vectorStoreIdFor(slug) } : {}),
+      q,
+      vs: vs.text,
+      hits: vs.hits,
+      tokens: vs.tokens || 0,
+      minScore: retrievalMinScore(cfg, backend),
+      budgetTokens: cfg.budgetTokens,
+      context: vs.context,
+      dropped: vs.dropped
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ✅ Admin: registar vector storeova po slugu */
+app.get('/api/admin/vector-stores', (req, res) => {
+  if (!requireAdminToken(req, res)) return;
+  const stores = [...vectorStores.entries()].map(([slug, { docs, ...e }]) => ({ slug, ...e, docs: Object.keys(docs || {}).length }));
+  res.json({ ok: true, file: VECTOR_STORE_REGISTRY_FILE, autoCreate: VECTOR_AUTO_CREATE, stores, missing: vectorSyncMissingSlugs() });
+});
+
+/* ✅ Admin: školski dokumenti — upload sirovog tijela (PDF / Markdown / tekst), izrezivanje i indeksiranje pod slugom
+   curl --data-binary @pravilnik.pdf -H 'content-type: application/pdf' '/api/admin/documents?slug=x&name=pravilnik.pdf'
+   Dokument istog imena se zamjenjuje. */
+// token se provjerava prije čitanja tijela (do DOCUMENT_MAX_BYTES u memoriju)
+const adminOnly = (req, res, next) => requireAdminToken(req, res) && next();
+
+// greške čitanja tijela (prevelik upload) kao JSON, ne Expressova HTML stranica
+const rawDocumentBody = express.raw({ type: () => true, limit: DOCUMENT_LIMIT_BYTES });
+const documentBody = (req, res, next) => rawDocumentBody(req, res, err => {
+  if (!err) return next();
+  const tooLarge = err.type === 'entity.too.large';
+  res.status(err.status || 400).json({ ok: false, error: tooLarge ? `Document too large (max ${DOCUMENT_LIMIT_BYTES} bytes)` : err.message });
+});
+
+app.post('/api/admin/documents', adminOnly, documentBody, async (req, res) => {
+  try {
+    const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+    if (!isKnownSlug(slug)) return res.status(404).json(unknownSlugBody(slug));
+
+    const name = path.basename(norm(req.query.name || req.headers['x-file-name']).trim());
+    if (!name) return res.status(400).json({ ok: false, error: 'Missing name' });
+    const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!buffer.length) return res.status(400).json({ ok: false, error: 'Empty body' });
+
+    const type = detectDocumentType(name, req.headers['content-type']);
+    if (!type) return res.status(415).json({ ok: false, error: 'Unsupported document type (PDF, Markdown, text)' });
+
+    let text;
+    try {
+      text = await extractDocumentText(buffer, type);
+    } catch (e) {
+      return res.status(422).json({ ok: false, error: `Cannot read document: ${e?.message}` });
     }
+    if (!text) return res.status(422).json({ ok: false, error: 'Document has no extractable text (scanned PDF?)' });
+
+    const cfg = knowledgeConfig(slug);
+    const hash = sha256(text);
+    const doc = {
+      // ime + sadržaj: isti tekst pod drugim imenom je zaseban dokument, ne prepisuje postojeći
+      id: `doc_${sha256(`${name}\n${hash}`).slice(0, 16)}`,
+      slug,
+      name,
+      type,
+      bytes: buffer.length,
+      hash,
+      uploadedAt: new Date().toISOString(),
+      chunks: chunkText(text, cfg.chunk)
+    };
+
+    const replaced = (await listSchoolDocuments(slug)).filter(d => d.name === name && d.id !== doc.id);
+    await saveSchoolDocument(doc);
+    for (const d of replaced) await deleteSchoolDocument(slug, d.id);
+    console.log(`📄 Dokument spremljen | slug=${slug} | ${name} (${type}) | chunks=${doc.chunks.length}${replaced.length ? ' | zamijenjen' : ''}`);
+
+    const sync = await syncRetrievalIndex(() => collectKnowledge(slug), slug, true)
+      .catch(e => ({ ok: false, error: e?.message }));
+    const { chunks, ...meta } = doc;
+    res.json({ ok: true, document: { ...meta, chunks: chunks.length }, replaced: replaced.map(d => d.id), sync });
+  } catch (e) {
+    console.error('DOCUMENT_UPLOAD_ERROR', e?.message);
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ✅ Admin: popis dokumenata sluga */
+app.get('/api/admin/documents', async (req, res) => {
+  if (!requireAdminToken(req, res)) return;
+  const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+  if (!isKnownSlug(slug)) return res.status(404).json(unknownSlugBody(slug));
+  const documents = (await listSchoolDocuments(slug)).map(({ chunks, ...d }) => ({ ...d, chunks: chunks.length }));
+  res.json({ ok: true, slug, documents });
+});
+
+/* ✅ Admin: brisanje dokumenta + reindeks */
+app.delete('/api/admin/documents/:id', async (req, res) => {
+  try {
+    if (!requireAdminToken(req, res)) return;
+    const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+    if (!isKnownSlug(slug)) return res.status(404).json(unknownSlugBody(slug));
+    if (!(await deleteSchoolDocument(slug, req.params.id))) return res.status(404).json({ ok: false, error: 'Unknown document' });
+
+    const sync = await syncRetrievalIndex(() => collectKnowledge(slug), slug, true)
+      .catch(e => ({ ok: false, error: e?.message }));
+    res.json({ ok: true, deleted: req.params.id, sync });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ✅ Admin: invalidacija data cache-a (jedan slug ili svi) */
+app.post('/api/admin/cache/invalidate', (req, res) => {
+  if (!requireAdminToken(req, res)) return;
+  const raw = normSlug(req.query.slug || req.body?.slug || '');
+  const slug = raw === '*' || raw === 'all' ? '' : raw;
+  const removed = invalidateSlugData(slug);
+  promptTemplateCache = null; // i predlošci iz Airtablea se čitaju ponovno
+  console.log(`♻️ Data cache invalidiran | scope=${slug || 'ALL'} | removed=${removed}`);
+  res.json({ ok: true, scope: slug || 'all', removed });
+});
+
+/* ✅ Admin: provjera schema mape za slug (nemapirana logička polja + nepoznati stupci) */
+app.get('/api/admin/schema', async (req, res) => {
+  try {
+    if (!requireAdminToken(req, res)) return;
+    const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+    const loaded = await loadSlugData(slug, { fresh: req.query.fresh === '1' });
+    res.json({ ok: true, slug, schema: validateSchema(slug, loaded) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ✅ Admin: zašto je FAQ (ne)odgovorio — top-N kandidata sa scoreovima */
+app.get('/api/admin/faq-match', async (req, res) => {
+  try {
+    if (!requireAdminToken(req, res)) return;
+    const slug = normSlug(req.query.slug || DEFAULT_SLUG);
     const q = norm(req.query.q || '').trim();
     if (!q) return res.status(400).json({ ok: false, error: 'Missing q' });
 
-    const vs = await vectorStoreSearch(q);
-    res.json({ ok: true, q, vs });
+    const cfg = { ...faqMatchConfig(slug), ...(req.query.n ? { topN: Math.min(50, Number(req.query.n) || 5) } : {}) };
+    const { data } = await loadSlugData(slug);
+    const schema = schemaFor(slug);
+
+    res.json({
+      ok: true,
+      slug,
+      q,
+      config: cfg,
+      // /api/ask preskače FAQ za upite o kategorijama/cijenama
+      skippedByCategoryGate: isCategoryOrPriceQuery(q),
+      decision: matchFAQ_STRICT(q, data.faq, schema, cfg),
+      ...(cfg.engine === 'legacy' ? {} : explainFaqMatch(q, data.faq, schema, cfg))
+    });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message });
   }
 });
 
-/* ===== Debug & Health ===== */
-app.get('/api/debug', async (req, res) => {
+/* ✅ Admin: test harness za intent router — koja namjera pobjeđuje za svaku rečenicu
+   GET ?slug=&q=...&q=...  ili POST { utterances: [...] }; ?format=text za ispis po redovima */
+const INTENT_SAMPLES = [
+  'Gdje se nalazite?',
+  'Koja vam je adresa?',
+  'Tko su instruktori?',
+  'Vozi li instruktor benzin ili dizel?',
+  'Koliko košta B kategorija?',
+  'Koliko sati vožnje ima za A2?',
+  'Gdje je HAK?',
+  'Gdje se polaže prva pomoć?',
+  'Gdje obaviti liječnički pregled?',
+  'Gdje je poligon za vježbanje?',
+  'Može li se platiti karticom na rate?',
+  'Koja vozila imate?',
+  'Koliko traje obuka?'
+];
+
+app.all('/api/admin/intent-test', async (req, res) => {
+  try {
+    if (!requireAdminToken(req, res)) return;
+    const slug = normSlug(req.query.slug || req.body?.slug || DEFAULT_SLUG);
+    const fromQuery = [].concat(req.query.q || []).map(norm).filter(Boolean);
+    const fromBody = Array.isArray(req.body?.utterances) ? req.body.utterances.map(norm).filter(Boolean) : [];
+    const utterances = fromBody.length ? fromBody : fromQuery.length ? fromQuery : INTENT_SAMPLES;
+
+    const { school, data } = await loadSlugData(slug);
+    const results = utterances.map(u => {
+      const { slots, candidates } = routeIntents(u, data, slug);
+      const facts = extractFactsDetailed(u, data, school, slug);
+      return {
+        utterance: u,
+        chosen: facts?.handlers.join(' + ') || null,
+        ...(facts?.unanswered.length ? { unanswered: facts.unanswered } : {}),
+        slots,
+        candidates: candidates.map(c => ({ intent: c.intent.name, priority: c.intent.priority, pattern: c.pattern, rejected: c.rejected, custom: !!c.intent.custom }))
+      };
+    });
+
+    if (req.query.format === 'text') {
+      const w = Math.max(...results.map(r => r.utterance.length));
+      return res.type('text/plain').send(
+        results.map(r => `${r.utterance.padEnd(w)}  ->  ${r.chosen || '(LLM)'}${r.unanswered ? ` + (LLM: ${r.unanswered.join(' | ')})` : ''}${r.candidates.length ? `   [${r.candidates.map(c => c.intent + (c.rejected ? ` ✗ ${c.rejected}` : '')).join(', ')}]` : ''}`).join('\n') + '\n'
+      );
+    }
+    res.json({ ok: true, slug, results });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ✅ Admin: pregled konačnog system prompta za slug (?q= za rangiranje sekcija, ?template=&version=, ?format=text) */
+app.get('/api/admin/prompt-preview', async (req, res) => {
+  try {
+    if (!requireAdminToken(req, res)) return;
+    const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+    const q = norm(req.query.q || '').trim();
+    const { school, data } = await loadSlugData(slug);
+    const schema = schemaFor(slug);
+
+    const templates = await loadPromptTemplates({ fresh: req.query.fresh === '1' });
+    const template = req.query.template
+      ? pickTemplate(templates, req.query.template, norm(req.query.version) || null)
+      : await resolvePromptTemplate(slug);
+    if (!template) return res.status(404).json({ ok: false, error: `Unknown template: ${req.query.template}${req.query.version ? '@' + req.query.version : ''}` });
+
+    const facts = q ? extractFactsDetailed(q, data, school, slug) : null;
+    const built = buildSystemPromptDetailed(school, data, facts?.text || '', extractAIPromptSectionList(data, slug), schema, {
+      question: q, kat: detectKat(q), slug, template
+    });
+
+    if (req.query.format === 'text') return res.type('text/plain').send(built.prompt + '\n');
+    res.json({
+      ok: true,
+      slug,
+      q,
+      available: templates.map(t => ({ name: t.name, version: t.version, source: t.source, ...(t.slug ? { slug: t.slug } : {}) })),
+      placeholders: PROMPT_PLACEHOLDERS,
+      ...built
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ✅ Admin: A/B izvještaj po varijanti (?slug=, ?id= — default aktivni eksperiment sluga) */
+app.get('/api/admin/experiments/report', (req, res) => {
+  if (!requireAdminToken(req, res)) return;
   const slug = normSlug(req.query.slug || DEFAULT_SLUG);
-  const school = await getSchoolRow(slug);
+  const exp = experimentFor(slug);
+  const id = norm(req.query.id || exp?.id || '');
+  if (!id) return res.status(404).json({ ok: false, error: `No experiment configured for ${slug}` });
+
+  res.json({
+    ok: true,
+    slug,
+    experiment: id,
+    active: exp?.id === id,
+    config: exp?.id === id ? exp.variants : null,
+    // brojke vrijede za zadnjih REPLY_LOG_MAX odgovora (REPLY_LOG_FILE)
+    logSize: replyLog.size,
+    variants: experimentReport(slug, id)
+  });
+});
 
-  const data = {};
-  for (const [key, variants] of Object.entries(TABLES)) {
-    if (key === 'faq') data[key] = await getFaqBySlugOrGlobal(slug);
-    else data[key] = await getBySlugMulti(variants, slug);
+/* ✅ Admin: negativne povratne informacije (kandidati za nove FAQ retke)
+   ?slug=, ?rating=negative|positive|all (default negative), ?limit= */
+app.get('/api/admin/feedback', async (req, res) => {
+  try {
+    if (!requireAdminToken(req, res)) return;
+    const slug = normSlug(req.query.slug || '');
+    const rating = norm(req.query.rating || 'negative').toLowerCase();
+    const limit = Math.min(1000, Number(req.query.limit) || 100);
+
+    const list = (await readFeedback())
+      .filter(f => !slug || f.slug === slug)
+      .filter(f => rating === 'all' || (rating === 'positive' ? f.rating > 0 : f.rating < 0))
+      .sort((a, b) => b.at.localeCompare(a.at))
+      .slice(0, limit);
+    res.json({ ok: true, count: list.length, feedback: list });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ✅ Admin: zadnji incidenti hallucination guarda (?slug= filtrira, ?limit=) */
+app.get('/api/admin/guard-incidents', (req, res) => {
+  if (!requireAdminToken(req, res)) return;
+  const slug = normSlug(req.query.slug || '');
+  const limit = Math.min(GUARD_INCIDENTS_MAX, Number(req.query.limit) || 50);
+  const list = guardIncidents.filter(i => !slug || i.slug === slug).slice(-limit).reverse();
+  res.json({ ok: true, count: list.length, incidents: list });
+});
+
+/* ===== Onboarding: validacijski izvještaj baze za slug ===== */
+const PRICE_CHECKS = [
+  { table: 'cjenik', amount: 'price.amount', label: 'price.variant' },
+  { table: 'hak', amount: 'hak.amount', label: 'hak.name' },
+  { table: 'dodatne', amount: 'extra.amount', label: 'extra.name' }
+];
+const KAT_CHECKS = [
+  { table: 'kategorije', field: 'category.code', required: true },
+  { table: 'cjenik', field: 'price.category', required: true },
+  { table: 'hak', field: 'hak.category', required: true },
+  { table: 'dodatne', field: 'extra.category', required: false },
+  { table: 'vozni', field: 'vehicle.category', required: false }
+];
+
+function buildValidationReport(slug, { school, data, report }) {
+  const schema = schemaFor(slug);
+  const warnings = [];
+
+  const tables = {};
+  for (const [key, r] of Object.entries(report.tables)) {
+    tables[key] = { status: r.status, resolved: r.table || null, rows: r.rows ?? 0, ...(r.tried ? { tried: r.tried } : {}), ...(r.error ? { error: r.error } : {}) };
+    if (r.status === 'missing') warnings.push(`Tablica ${key} ne postoji (probano: ${(r.tried || []).join(', ')})`);
+    if (r.status === 'empty') warnings.push(`Tablica ${r.table} nema redova za slug "${slug}"`);
+    if (r.status === 'error') warnings.push(`Dohvat tablice ${r.table} nije uspio: ${r.error}`);
+    if (r.mode === 'scan' && r.rows) warnings.push(`Tablica ${r.table}: {Slug} filter nije radio, redovi nađeni tek punim pregledom (provjeri naziv Slug stupca)`);
   }
 
+  if (report.stale) warnings.push('Dohvat nije potpun — prikazani podaci su zadnja dobra (cached) verzija');
+
+  const schoolReport = report.school;
+  if (schoolReport.status === 'fallback') {
+    warnings.push(`AUTOŠKOLE: nema reda za slug "${slug}" — korišten je PRVI red tablice (tuđi podaci!)`);
+  } else if (schoolReport.status === 'unknown') {
+    warnings.push(`AUTOŠKOLE: nema reda za slug "${slug}" — /api/ask vraća UNKNOWN_SLUG (ostale tablice nisu dohvaćene)`);
+  } else if (schoolReport.status !== 'ok') {
+    warnings.push(`AUTOŠKOLE: ${schoolReport.status}${schoolReport.error ? ` (${schoolReport.error})` : ''}`);
+  }
+
+  const prices = [];
+  for (const c of PRICE_CHECKS) {
+    for (const row of data[c.table] || []) {
+      const raw = fv(row, c.amount, schema);
+      const issue = priceParseIssue(raw);
+      if (issue) prices.push({ table: c.table, id: row._id, name: fv(row, c.label, schema), value: raw, issue });
+    }
+  }
+  if (prices.length) warnings.push(`${prices.length} iznos(a) convertToEuro ne može pouzdano pročitati`);
+
+  const categories = [];
+  for (const c of KAT_CHECKS) {
+    for (const row of data[c.table] || []) {
+      const raw = fv(row, c.field, schema);
+      if (!raw && !c.required) continue;
+      if (!normalizeKat(raw)) categories.push({ table: c.table, id: row._id, value: raw, issue: raw ? 'unknown_category' : 'empty' });
+    }
+  }
+  if (categories.length) warnings.push(`${categories.length} red(ova) s kategorijom koju normalizeKat ne prepoznaje`);
+
+  return {
+    school: { status: schoolReport.status, matchedBy: schoolReport.matchedBy ?? null, found: !!Object.keys(school || {}).length },
+    tables,
+    issues: { prices, categories },
+    schema: validateSchema(slug, { school, data }),
+    warnings
+  };
+}
+
+/* ✅ Admin: validacija baze pri onboardingu škole (uvijek svjež dohvat, osim ?cached=1) */
+app.get('/api/admin/validate', async (req, res) => {
+  try {
+    if (!requireAdminToken(req, res)) return;
+    const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+    const loaded = await loadSlugData(slug, { fresh: req.query.cached !== '1' });
+    const out = buildValidationReport(slug, loaded);
+    if (!isKnownSlug(slug)) out.warnings.unshift(`Slug "${slug}" nije u KNOWN_SLUGS`);
+    res.json({ ok: true, slug, valid: !out.warnings.length, ...out });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message });
+  }
+});
+
+/* ===== Debug & Health ===== */
+app.get('/api/debug', async (req, res) => {
+  const slug = normSlug(req.query.slug || DEFAULT_SLUG);
+  const { school, data, report } = await loadSlugData(slug, { fresh: req.query.fresh === '1' });
+
   const aiSections = extractAIPromptSections(data, slug);
-  res.json({ ok: true, slug, school, data, aiSections });
+  res.json({ ok: true, slug, school, data, report, aiSections });
 });
 
 app.get('/api/health', (req, res) => {
-  res.json({ ok: true, status: 'AI agent radi ✅', time: new Date().toISOString(), version: promptVersion });
+  res.json({
+    ok: true,
+    status: 'AI agent radi ✅',
+    time: new Date().toISOString(),
+    version: promptVersion,
+    cache: cacheInfo()
+  });
 });
 
 /* ===== Start ===== */
@@ -953,27 +4272,31 @@ app.listen(PORT, () => {
   console.log(`✅ AI Testigo agent (INDIVIDUAL only) radi na portu :${PORT}`);
 });
 
-/* ===== Boot Vector Sync (start + svakih 6h) ===== */
-async function bootVectorSync() {
-  if (!VECTOR_STORE_ID) {
-    console.log('ℹ️ VECTOR_STORE_ID nije postavljen — preskačem Vector Store sync.');
-    return;
-  }
-  try {
-    const faqRows = await getFaqBySlugOrGlobal(DEFAULT_SLUG); // ✅ default slug + global
-    await syncFaqToVectorStoreIfNeeded(faqRows, DEFAULT_SLUG, false);
-  } catch (e) {
-    console.warn('VECTOR_SYNC_BOOT_WARN', e?.message);
+/* ===== Boot retrieval sync (start + svakih 6h), za svaki slug aktivnog backenda ===== */
+async function syncAllRetrievalIndexes(label) {
+  const missing = RETRIEVAL_BACKENDS[RETRIEVAL_BACKEND].missing?.() || [];
+  if (missing.length) {
+    console.warn(`⚠️ Bez vector storea, preskačem (VECTOR_STORE_AUTO_CREATE=0; kreira ga /api/admin/sync-faq?slug=): ${missing.join(', ')}`);
   }
-
-  setInterval(async () => {
+  for (const slug of RETRIEVAL_BACKENDS[RETRIEVAL_BACKEND].slugs()) {
     try {
-      const faqRows = await getFaqBySlugOrGlobal(DEFAULT_SLUG);
-      await syncFaqToVectorStoreIfNeeded(faqRows, DEFAULT_SLUG, false);
+      await syncRetrievalIndex(() => collectKnowledge(slug), slug, false);
     } catch (e) {
-      console.warn('VECTOR_SYNC_INTERVAL_WARN', e?.message);
+      console.warn(`RETRIEVAL_SYNC_${label}_WARN`, slug, e?.message);
     }
-  }, 6 * 60 * 60 * 1000);
+  }
+}
+
+async function bootRetrievalSync() {
+  if (!RETRIEVAL_BACKENDS[RETRIEVAL_BACKEND].slugs().length) {
+    console.log('ℹ️ Nema vector storeova (VECTOR_STORE_ID / registar / KNOWN_SLUGS) — preskačem Vector Store sync.');
+    const missing = RETRIEVAL_BACKENDS[RETRIEVAL_BACKEND].missing?.() || [];
+    if (missing.length) console.warn(`⚠️ Bez vector storea (VECTOR_STORE_AUTO_CREATE=0): ${missing.join(', ')}`);
+    return;
+  }
+  await syncAllRetrievalIndexes('BOOT');
+
+  setInterval(() => syncAllRetrievalIndexes('INTERVAL'), 6 * 60 * 60 * 1000);
 }
 
-bootVectorSync();
+bootRetrievalSync();